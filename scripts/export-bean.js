@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Exports the procedural coffee bean as glTF, OBJ or watertight STL
+ * Same geometry as the landing page (src/js/bean-model.js)
+ *
+ * Usage: npm run export-bean -- [options]
+ *   --format gltf|obj|stl   Output format (default: gltf)
+ *   --type <geometry>       classic, superellipse, peaberry, broken, insect-damaged, quaker
+ *   --roast <level>         Roast palette: green, ultralight, light, mediumLight, medium, dark
+ *   --config <file.json>    Bean settings, e.g. pasted from the debug UI's "Copy Changes"
+ *   --out <file>            Output path (default: ./brewlingo-bean-<type>.<format>)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { BEAN_CONFIG, GEOMETRY_TYPES, ROAST_LEVELS } from '../src/js/consts.js';
+import { getGeometryParams } from '../src/js/bean-model.js';
+import { EXPORT_FORMATS, exportBean } from '../src/js/bean-export.js';
+
+function readConfig({ type, roast, config }) {
+  const fromFile = config ? JSON.parse(fs.readFileSync(config, 'utf8')) : {};
+  const geometryType = type || fromFile.geometryType || GEOMETRY_TYPES.SUPERELLIPSE;
+
+  if (!Object.values(GEOMETRY_TYPES).includes(geometryType)) {
+    throw new Error(`Unknown geometry type "${geometryType}"`);
+  }
+  if (roast && !ROAST_LEVELS[roast]) {
+    throw new Error(`Unknown roast level "${roast}"`);
+  }
+
+  // Each type has its own default dimensions, unless the file sets them
+  const { beanScaleX, beanScaleY, beanScaleZ } = getGeometryParams(geometryType);
+  return {
+    ...BEAN_CONFIG,
+    beanScaleX,
+    beanScaleY,
+    beanScaleZ,
+    ...fromFile,
+    ...(roast ? ROAST_LEVELS[roast] : {}),
+    geometryType
+  };
+}
+
+function exportBeanFile() {
+  const { values } = parseArgs({
+    options: {
+      format: { type: 'string', default: 'gltf' },
+      type: { type: 'string' },
+      roast: { type: 'string' },
+      config: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+
+  if (!EXPORT_FORMATS[values.format]) {
+    throw new Error(`Unknown format "${values.format}", use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const { filename, data } = exportBean(readConfig(values), values.format);
+  const outputPath = path.resolve(values.out || filename);
+  fs.writeFileSync(outputPath, typeof data === 'string' ? data : Buffer.from(data));
+
+  console.log(`✓ Exported bean: ${outputPath}`);
+  console.log(`  ${EXPORT_FORMATS[values.format].name}, ${(fs.statSync(outputPath).size / 1024).toFixed(1)} KB`);
+}
+
+try {
+  exportBeanFile();
+} catch (err) {
+  console.error('Error exporting bean:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,222 @@
+/**
+ * Bags Page
+ * Add and edit open coffee bags, show days off roast on a rest / peak /
+ * stale timeline, and link each bag to its baseline on recipe.html
+ */
+import { BASELINE_SECTIONS, getBaseline } from './baselines.js';
+import { listBags, getBag, saveBag, deleteBag, getFreshness } from './bags.js';
+import { getCauseValues, CAUSES } from './diagnostics.js';
+import { getValue } from './vocabulary.js';
+import { escapeHtml } from './dom.js';
+
+const form = document.getElementById('bags-form');
+const formTitle = document.getElementById('bags-form-title');
+const cancelButton = form.querySelector('[data-action="cancel"]');
+const formStatus = form.querySelector('.form-status');
+const bagsList = document.getElementById('bags-list');
+
+const STAGE_LABELS = {
+  resting: 'Resting',
+  peak: 'Peak',
+  stale: 'Stale'
+};
+
+// Id of the bag being edited, null when adding one
+let editingId = null;
+
+// ============================================
+// RENDERING
+// ============================================
+function renderFactorSelect(section) {
+  const options = section.baselines
+    .map(baseline => `<option value="${baseline.id}">${escapeHtml(baseline.name)}</option>`)
+    .join('');
+
+  return `
+    <label class="field">
+      <span class="field-label"><i class="${section.icon}"></i> ${escapeHtml(section.title)}</span>
+      <select name="factor-${section.id}"><option value="">Unknown</option>${options}</select>
+    </label>`;
+}
+
+function renderValueLink(valueId) {
+  const { category, value } = getValue(valueId);
+  return `<a class="chip" href="./language.html#${category.id}/${value.id}"><span class="chip-icon"><i class="${value.icon}"></i></span><span class="chip-text">${category.name}: ${value.shortLabel || value.label}</span></a>`;
+}
+
+// Past the stale mark the bar keeps going a little so today stays visible
+function renderTimeline({ days, window }) {
+  const span = window.stale * 1.25;
+  const percent = value => `${Math.round(Math.min(value, span) / span * 1000) / 10}%`;
+  return `
+    <div class="bag-timeline" aria-hidden="true">
+      <span class="resting" style="width: ${percent(window.peak)}"></span>
+      <span class="peak" style="width: ${percent(window.stale - window.peak)}"></span>
+      <span class="stale"></span>
+      <span class="bag-today" style="left: ${percent(Math.max(0, days))}"></span>
+    </div>`;
+}
+
+function renderStageNote({ days, stage, window }) {
+  if (stage === 'resting') {
+    return `<p class="bags-hint">Still degassing: expect uneven blooms. At its best from day ${window.peak}.</p>`;
+  }
+  if (stage === 'peak') {
+    return `<p class="bags-hint">Good until about day ${window.stale}.</p>`;
+  }
+
+  // The vocabulary already names stale beans as a cause
+  const staleBeans = CAUSES.find(cause => cause.id === 'stale-beans');
+  return `
+    <div class="bag-stale-note">
+      ${days - window.stale} ${days - window.stale === 1 ? 'day' : 'days'} past its best. ${escapeHtml(staleBeans.tip)} Stale beans are a common cause of:
+      <div class="value-chips">${getCauseValues('stale-beans').map(renderValueLink).join('')}</div>
+    </div>`;
+}
+
+function renderBag(bag) {
+  const freshness = getFreshness(bag);
+  const factorNames = BASELINE_SECTIONS
+    .map(section => getBaseline(section.id, bag.factors[section.id])?.name)
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(' · ');
+  const recipeQuery = new URLSearchParams(Object.entries(bag.factors).filter(([, id]) => id));
+  const days = freshness.days === 1 ? '1 day' : `${freshness.days} days`;
+
+  return `
+    <article class="bag-card card-base static" data-id="${bag.id}">
+      <div class="bag-card-header">
+        <span class="bag-card-title">${escapeHtml(bag.name)}</span>
+        <span class="bag-stage ${freshness.stage}">${STAGE_LABELS[freshness.stage]} · ${days}</span>
+      </div>
+      <div class="bag-card-meta">
+        ${[escapeHtml(bag.origin), factorNames].filter(Boolean).join(' · ')}
+        ${factorNames || bag.origin ? '<br>' : ''}Roasted ${new Date(`${bag.roastDate}T00:00`).toLocaleDateString()}
+      </div>
+      ${renderTimeline(freshness)}
+      ${renderStageNote(freshness)}
+      <div class="bag-card-actions">
+        <a class="btn small primary" href="./recipe.html?${recipeQuery}"><i class="fa-solid fa-sliders"></i> Recipe</a>
+        <button type="button" class="btn small" data-action="edit"><i class="fa-solid fa-pen"></i> Edit</button>
+        <button type="button" class="btn small" data-action="delete"><i class="fa-solid fa-trash"></i> Finished</button>
+      </div>
+    </article>`;
+}
+
+async function loadBags() {
+  let bags;
+  try {
+    bags = await listBags();
+  } catch (error) {
+    bagsList.innerHTML = `<p class="bags-hint">Bags can't be loaded: this browser is blocking local storage.</p>`;
+    console.error(error);
+    return;
+  }
+
+  bagsList.innerHTML = bags.length > 0
+    ? bags.map(renderBag).join('')
+    : `<p class="bags-hint">No open bags yet.</p>`;
+}
+
+// ============================================
+// FORM
+// ============================================
+function today() {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+}
+
+function resetForm() {
+  editingId = null;
+  formStatus.textContent = '';
+  form.reset();
+  form.elements.roastDate.value = today();
+  form.elements.roastDate.max = today();
+  formTitle.textContent = 'Add a bag';
+  cancelButton.hidden = true;
+}
+
+async function editBag(id) {
+  formStatus.textContent = '';
+
+  let bag;
+  try {
+    bag = await getBag(id);
+  } catch (error) {
+    formStatus.textContent = `The bag couldn't be loaded: this browser is blocking local storage.`;
+    console.error(error);
+    return;
+  }
+  if (!bag) return;
+
+  editingId = id;
+  form.elements.name.value = bag.name;
+  form.elements.origin.value = bag.origin;
+  form.elements.roastDate.value = bag.roastDate;
+  BASELINE_SECTIONS.forEach(section => {
+    form.elements[`factor-${section.id}`].value = bag.factors[section.id] || '';
+  });
+  formTitle.textContent = `Edit ${bag.name}`;
+  cancelButton.hidden = false;
+  form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  formStatus.textContent = '';
+
+  try {
+    const existing = editingId !== null ? await getBag(editingId) : null;
+    await saveBag({
+      ...existing,
+      name: form.elements.name.value.trim(),
+      origin: form.elements.origin.value.trim(),
+      roastDate: form.elements.roastDate.value,
+      factors: Object.fromEntries(BASELINE_SECTIONS.map(section => [
+        section.id,
+        form.elements[`factor-${section.id}`].value || null
+      ]))
+    });
+  } catch (error) {
+    formStatus.textContent = `The bag couldn't be saved: this browser is blocking local storage or is out of space.`;
+    console.error(error);
+    return;
+  }
+
+  resetForm();
+  loadBags();
+});
+
+cancelButton.addEventListener('click', resetForm);
+
+bagsList.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  const id = Number(button.closest('.bag-card').dataset.id);
+
+  if (button.dataset.action === 'edit') {
+    editBag(id);
+  } else if (button.dataset.action === 'delete') {
+    if (!confirm('Remove this bag?')) return;
+
+    formStatus.textContent = '';
+    try {
+      await deleteBag(id);
+    } catch (error) {
+      formStatus.textContent = `The bag couldn't be removed: this browser is blocking local storage.`;
+      console.error(error);
+      return;
+    }
+    if (editingId === id) resetForm();
+    loadBags();
+  }
+});
+
+// ============================================
+// INIT
+// ============================================
+document.getElementById('bags-factors').innerHTML = BASELINE_SECTIONS.map(renderFactorSelect).join('');
+resetForm();
+loadBags();
@@ -0,0 +1,104 @@
+/**
+ * Coffee Bags
+ * The open bags: coffee details, the matching baseline factors and the roast
+ * date, with how far each bag is into its rest / peak / stale window.
+ * Stored in the local database (db.js)
+ */
+import { getAll, getRecord, putRecord, deleteRecord } from './db.js';
+
+const STORE = 'bags';
+
+/**
+ * @typedef {Object} Bag
+ * @property {number} [id] - Assigned on first save
+ * @property {string} name
+ * @property {string} origin
+ * @property {Object<string, string|null>} factors - Baseline section id → baseline id
+ * @property {string} roastDate - "YYYY-MM-DD"
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+// ============================================
+// STORAGE
+// ============================================
+
+/** @returns {Promise<Bag[]>} Most recently roasted first */
+export async function listBags() {
+  const bags = await getAll(STORE);
+  return bags.sort((a, b) => b.roastDate.localeCompare(a.roastDate));
+}
+
+/** @returns {Promise<Bag|undefined>} */
+export function getBag(id) {
+  return getRecord(STORE, id);
+}
+
+/**
+ * Create or update a bag, stamping its timestamps
+ * @param {Bag} bag
+ * @returns {Promise<number>} The bag id
+ */
+export function saveBag(bag) {
+  const now = new Date().toISOString();
+  return putRecord(STORE, {
+    ...bag,
+    createdAt: bag.createdAt || now,
+    updatedAt: now,
+  });
+}
+
+/** @returns {Promise<void>} */
+export function deleteBag(id) {
+  return deleteRecord(STORE, id);
+}
+
+// ============================================
+// FRESHNESS
+// ============================================
+
+/**
+ * Days off roast where a bag stops resting and where it goes stale
+ * Lighter roasts degas slower and keep longer
+ * @type {Object<string, { peak: number, stale: number }>} Roast baseline id → days
+ */
+export const REST_WINDOWS = {
+  light: { peak: 10, stale: 42 },
+  lightmed: { peak: 8, stale: 38 },
+  medium: { peak: 6, stale: 35 },
+  meddark: { peak: 4, stale: 30 },
+  dark: { peak: 3, stale: 25 },
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} roastDate - "YYYY-MM-DD"
+ * @param {Date} [now]
+ * @returns {number} Whole days since the roast, by the calendar
+ */
+export function getDaysOffRoast(roastDate, now = new Date()) {
+  const [year, month, day] = roastDate.split('-').map(Number);
+  const roasted = Date.UTC(year, month - 1, day);
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((today - roasted) / DAY);
+}
+
+/**
+ * @typedef {Object} Freshness
+ * @property {number} days - Days off roast
+ * @property {'resting'|'peak'|'stale'} stage
+ * @property {{ peak: number, stale: number }} window
+ */
+
+/**
+ * @param {Bag} bag
+ * @param {Date} [now]
+ * @returns {Freshness} Bags without a roast level use the medium window
+ */
+export function getFreshness(bag, now = new Date()) {
+  const days = getDaysOffRoast(bag.roastDate, now);
+  const window = REST_WINDOWS[bag.factors.roast] || REST_WINDOWS.medium;
+  const stage = days < window.peak ? 'resting' : days < window.stale ? 'peak' : 'stale';
+  return { days, stage, window };
+}
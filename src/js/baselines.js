@@ -0,0 +1,381 @@
+/**
+ * Pourover Baselines
+ * Recipe parameters by altitude, processing and roast (recipe.html)
+ * Temperatures in °C, ratios as grams of water per gram of coffee
+ */
+import { formatQuantityRange } from './units.js';
+
+// ============================================
+// ENUMERATED LEVELS (ordered fine → coarse, least → most agitation)
+// `label` is shown for a single level, `short` inside a range ("Mod–High")
+// ============================================
+// Extra-fine (espresso) and extra-coarse (cold brew) are only used by
+// other brew methods (methods.js), the pourover baselines stay in between
+export const GRIND_LEVELS = [
+  { id: 'extra-fine', label: 'Extra-fine' },
+  { id: 'fine', label: 'Fine' },
+  { id: 'med-fine', label: 'Med-fine' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'med-coarse', label: 'Med-coarse' },
+  { id: 'coarse', label: 'Coarse' },
+  { id: 'extra-coarse', label: 'Extra-coarse' },
+];
+
+export const AGITATION_LEVELS = [
+  { id: 'very-minimal', label: 'Very Min', short: 'Very Min' },
+  { id: 'minimal', label: 'Minimal', short: 'Min' },
+  { id: 'very-gentle', label: 'Very Gen', short: 'Very Gen' },
+  { id: 'gentle', label: 'Gentle', short: 'Gentle' },
+  { id: 'light', label: 'Light', short: 'Light' },
+  { id: 'moderate', label: 'Moderate', short: 'Mod' },
+  { id: 'high', label: 'High', short: 'High' },
+  { id: 'aggressive', label: 'Aggressive', short: 'Aggr' },
+];
+
+/**
+ * @typedef {Object} Range
+ * @property {number} min
+ * @property {number} max
+ */
+
+/**
+ * @typedef {Object} Baseline
+ * @property {string} id - Unique within its section, also the card's data-type
+ * @property {string} name
+ * @property {string} icon - Font Awesome icon classes
+ * @property {Range} temp - Water temperature in °C
+ * @property {Range} ratio - Water to coffee ratio (1:min – 1:max)
+ * @property {string} grind - GRIND_LEVELS id
+ * @property {{ min: string, max: string, descending?: boolean }} agitation - AGITATION_LEVELS ids,
+ *   `descending` shows the range most-first ("Gentle–Min") as the card always has
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} BaselineSection
+ * @property {string} id
+ * @property {string} title
+ * @property {string} icon
+ * @property {Baseline[]} baselines
+ */
+
+// ============================================
+// BASELINES
+// ============================================
+/** @type {BaselineSection[]} */
+export const BASELINE_SECTIONS = [
+  {
+    id: 'altitude',
+    title: 'Altitude / Density',
+    icon: 'fa-solid fa-mountain',
+    baselines: [
+      {
+        id: 'high',
+        name: 'High Altitude',
+        icon: 'fa-solid fa-mountain-sun',
+        temp: { min: 94, max: 96 },
+        ratio: { min: 15, max: 17 },
+        grind: 'med-fine',
+        agitation: { min: 'moderate', max: 'high' },
+        description: '>1,700m / high density. Denser beans need more energy to extract; higher temp and agitation help unlock acidity, florals, and complexity.',
+      },
+      {
+        id: 'mid',
+        name: 'Mid Altitude',
+        icon: 'fa-solid fa-mountain',
+        temp: { min: 91, max: 94 },
+        ratio: { min: 15, max: 17 },
+        grind: 'medium',
+        agitation: { min: 'moderate', max: 'moderate' },
+        description: '1,200–1,700m / medium density. Balanced extraction potential. Typical of many Colombians and Centrals. Good balance between sweetness, clarity, and body.',
+      },
+      {
+        id: 'low',
+        name: 'Low Altitude',
+        icon: 'fa-solid fa-hill-rockslide',
+        temp: { min: 88, max: 91 },
+        ratio: { min: 15, max: 18 },
+        grind: 'med-coarse',
+        agitation: { min: 'minimal', max: 'gentle', descending: true },
+        description: '<1,200m / low density. More porous beans extract faster — use lower temps, coarser grind, and reduce agitation to avoid bitterness or flatness.',
+      },
+      {
+        id: 'decaf',
+        name: 'Decaf (any altitude)',
+        icon: 'fa-solid fa-moon',
+        temp: { min: 88, max: 92 },
+        ratio: { min: 15, max: 18 },
+        grind: 'med-coarse',
+        agitation: { min: 'very-minimal', max: 'very-minimal' },
+        description: 'Processed beans like decaf mimic low-altitude behavior — highly extractable, easily overdone. Lower heat and gentle technique.',
+      },
+    ],
+  },
+  {
+    id: 'processing',
+    title: 'Processing',
+    icon: 'fa-solid fa-flask',
+    baselines: [
+      {
+        id: 'washed',
+        name: 'Washed',
+        icon: 'fa-solid fa-droplet',
+        temp: { min: 93, max: 96 },
+        ratio: { min: 15, max: 17 },
+        grind: 'med-fine',
+        agitation: { min: 'moderate', max: 'moderate' },
+        description: 'Clean, bright flavors; good clarity and acidity. High temp enhances origin characteristics.',
+      },
+      {
+        id: 'natural',
+        name: 'Natural',
+        icon: 'fa-solid fa-sun',
+        temp: { min: 90, max: 94 },
+        ratio: { min: 16, max: 17 },
+        grind: 'medium',
+        agitation: { min: 'gentle', max: 'gentle' },
+        description: 'Fruity and body-heavy. Easier to over-extract — use gentle agitation and slightly coarser grind.',
+      },
+      {
+        id: 'honey',
+        name: 'Honey / Pulped',
+        icon: 'fa-solid fa-jar',
+        temp: { min: 91, max: 94 },
+        ratio: { min: 15, max: 18 },
+        grind: 'medium',
+        agitation: { min: 'light', max: 'light' },
+        description: 'Sweetness from retained mucilage. Balanced extraction for both body and clarity.',
+      },
+      {
+        id: 'anaerobic',
+        name: 'Anaerobic / Fermented',
+        icon: 'fa-solid fa-vial',
+        temp: { min: 88, max: 92 },
+        ratio: { min: 15, max: 18 },
+        grind: 'med-coarse',
+        agitation: { min: 'very-minimal', max: 'very-minimal' },
+        description: 'Intense, often funky. Highly soluble — go low on temp and minimize turbulence.',
+      },
+      {
+        id: 'wethulled',
+        name: 'Wet-Hulled',
+        icon: 'fa-solid fa-water',
+        temp: { min: 91, max: 94 },
+        ratio: { min: 15, max: 18 },
+        grind: 'med-coarse',
+        agitation: { min: 'gentle', max: 'gentle' },
+        description: 'Earthy, complex body. Tends toward uneven extraction — use a forgiving grind and gentle pour.',
+      },
+      {
+        id: 'decaf',
+        name: 'Decaf (SWP/EA)',
+        icon: 'fa-solid fa-leaf',
+        temp: { min: 88, max: 92 },
+        ratio: { min: 15, max: 18 },
+        grind: 'med-coarse',
+        agitation: { min: 'minimal', max: 'minimal' },
+        description: 'More soluble due to cell structure changes. Easily over-extracted. Lower temp & coarser grind help retain sweetness and reduce bitterness.',
+      },
+    ],
+  },
+  {
+    id: 'roast',
+    title: 'Roast Type',
+    icon: 'fa-solid fa-fire',
+    baselines: [
+      {
+        id: 'light',
+        name: 'Light Roast',
+        icon: 'fa-regular fa-circle',
+        temp: { min: 94, max: 97 },
+        ratio: { min: 15, max: 17 },
+        grind: 'med-fine',
+        agitation: { min: 'moderate', max: 'aggressive' },
+        description: 'High density and low solubility. Needs higher temp and more agitation. Emphasizes acidity and origin clarity.',
+      },
+      {
+        id: 'lightmed',
+        name: 'Light-Medium',
+        icon: 'fa-solid fa-circle-half-stroke',
+        temp: { min: 93, max: 95 },
+        ratio: { min: 15, max: 17 },
+        grind: 'medium',
+        agitation: { min: 'moderate', max: 'moderate' },
+        description: 'Balanced extraction; acidity still present, but with more sweetness and body.',
+      },
+      {
+        id: 'medium',
+        name: 'Medium Roast',
+        icon: 'fa-solid fa-circle',
+        temp: { min: 91, max: 94 },
+        ratio: { min: 15, max: 17 },
+        grind: 'medium',
+        agitation: { min: 'moderate', max: 'moderate' },
+        description: 'Sweet, rounded flavors. Lower temp helps preserve balance. Most versatile for manual brewing.',
+      },
+      {
+        id: 'meddark',
+        name: 'Medium-Dark',
+        icon: 'fa-solid fa-fire-flame-simple',
+        temp: { min: 89, max: 92 },
+        ratio: { min: 15, max: 18 },
+        grind: 'med-coarse',
+        agitation: { min: 'gentle', max: 'gentle' },
+        description: 'Solubility increases. Can over-extract easily. Slightly lower temp and agitation recommended.',
+      },
+      {
+        id: 'dark',
+        name: 'Dark Roast',
+        icon: 'fa-solid fa-fire',
+        temp: { min: 87, max: 90 },
+        ratio: { min: 15, max: 18 },
+        grind: 'med-coarse',
+        agitation: { min: 'very-gentle', max: 'very-gentle' },
+        description: 'High solubility and fragility. Very easy to over-extract. Use lower temps, minimal agitation, and faster brews for balance.',
+      },
+    ],
+  },
+];
+
+// ============================================
+// LOOKUPS
+// ============================================
+
+/**
+ * Find a baseline within a section
+ * @param {string} sectionId - "altitude", "processing" or "roast"
+ * @param {string} baselineId - e.g. "natural"
+ * @returns {Baseline|undefined}
+ */
+export function getBaseline(sectionId, baselineId) {
+  const section = BASELINE_SECTIONS.find(s => s.id === sectionId);
+  return section?.baselines.find(b => b.id === baselineId);
+}
+
+/** Position of a grind level on the fine → coarse scale */
+export function getGrindIndex(grindId) {
+  return GRIND_LEVELS.findIndex(level => level.id === grindId);
+}
+
+/** Position of an agitation level on the least → most scale */
+export function getAgitationIndex(agitationId) {
+  return AGITATION_LEVELS.findIndex(level => level.id === agitationId);
+}
+
+// ============================================
+// COMBINING FACTORS
+// ============================================
+
+// Highest priority first: roast level dictates temp, grind and agitation,
+// bean density drives temperature, processing only fine-tunes solubility
+export const FACTOR_PRIORITY = ['roast', 'altitude', 'processing'];
+
+export const FACTOR_RULES = {
+  roast: 'Roast level > everything else',
+  altitude: 'Bean density (altitude) = temperature driver',
+  processing: 'Processing sets solubility',
+};
+
+/**
+ * @typedef {Object} BaselineConflict
+ * @property {string} param - "temp", "ratio", "grind" or "agitation"
+ * @property {string} winner - Section id whose value was kept
+ * @property {string} loser - Section id whose value was dropped
+ */
+
+/**
+ * @typedef {Object} CombinedBaseline
+ * @property {Range} temp
+ * @property {Range} ratio
+ * @property {string} grind
+ * @property {{ min: string, max: string }} agitation
+ * @property {{ sectionId: string, baseline: Baseline }[]} sources - In priority order
+ * @property {BaselineConflict[]} conflicts
+ */
+
+function intersectRange(a, b) {
+  const min = Math.max(a.min, b.min);
+  const max = Math.min(a.max, b.max);
+  return min <= max ? { min, max } : null;
+}
+
+/**
+ * Merge one baseline per section into a single recipe
+ * Ranges are intersected in priority order; when a lower-priority factor
+ * doesn't overlap, the higher-priority factor wins and the conflict is recorded
+ * @param {Object<string, string|null>} selection - Section id → baseline id
+ * @returns {CombinedBaseline|null} null when nothing is selected
+ */
+export function combineBaselines(selection) {
+  const sources = FACTOR_PRIORITY
+    .filter(sectionId => selection[sectionId])
+    .map(sectionId => ({ sectionId, baseline: getBaseline(sectionId, selection[sectionId]) }))
+    .filter(source => source.baseline);
+
+  if (sources.length === 0) return null;
+
+  const [primary, ...others] = sources;
+  const conflicts = [];
+
+  const mergeRange = (param, toRange) => {
+    let range = toRange(primary.baseline);
+    others.forEach(source => {
+      const merged = intersectRange(range, toRange(source.baseline));
+      if (merged) {
+        range = merged;
+      } else {
+        conflicts.push({ param, winner: primary.sectionId, loser: source.sectionId });
+      }
+    });
+    return range;
+  };
+
+  const temp = mergeRange('temp', b => b.temp);
+  const ratio = mergeRange('ratio', b => b.ratio);
+  // Grind is a single level, so any disagreement is a conflict
+  others.forEach(source => {
+    if (source.baseline.grind !== primary.baseline.grind) {
+      conflicts.push({ param: 'grind', winner: primary.sectionId, loser: source.sectionId });
+    }
+  });
+
+  const agitationRange = mergeRange('agitation', b => ({
+    min: getAgitationIndex(b.agitation.min),
+    max: getAgitationIndex(b.agitation.max),
+  }));
+
+  return {
+    temp,
+    ratio,
+    grind: primary.baseline.grind,
+    agitation: {
+      min: AGITATION_LEVELS[agitationRange.min].id,
+      max: AGITATION_LEVELS[agitationRange.max].id,
+    },
+    sources,
+    conflicts,
+  };
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+// In the preferred unit (units.js)
+export function formatTemp(temp) {
+  return formatQuantityRange('temperature', temp);
+}
+
+export function formatRatio(ratio) {
+  return ratio.min === ratio.max ? `1:${ratio.min}` : `1:${ratio.min}–1:${ratio.max}`;
+}
+
+export function formatGrind(grindId) {
+  return GRIND_LEVELS[getGrindIndex(grindId)].label;
+}
+
+export function formatAgitation(agitation) {
+  const min = AGITATION_LEVELS[getAgitationIndex(agitation.min)];
+  const max = AGITATION_LEVELS[getAgitationIndex(agitation.max)];
+  if (min === max) return min.label;
+  return agitation.descending ? `${max.short}–${min.short}` : `${min.short}–${max.short}`;
+}
@@ -0,0 +1,278 @@
+/**
+ * Bean Exporter
+ * Writes the procedural bean (createBeanGeometry) as glTF, OBJ or STL for
+ * other 3D tools and 3D printing. No DOM: used by the debug GUI on the
+ * landing page and by scripts/export-bean.js in Node
+ */
+import * as THREE from 'three';
+import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+import { BEAN_CONFIG } from './consts.js';
+import { createBeanGeometry, getCreaseWidth } from './bean-model.js';
+
+export const EXPORT_FORMATS = {
+  gltf: { name: 'glTF', extension: 'gltf', mimeType: 'model/gltf+json' },
+  obj: { name: 'OBJ', extension: 'obj', mimeType: 'text/plain' },
+  stl: { name: 'STL (watertight)', extension: 'stl', mimeType: 'model/stl' },
+};
+
+// A bean is ~1.3 units long; STL has no units and slicers read millimetres,
+// so prints come out life size (~10 mm)
+const STL_MM_PER_UNIT = 8;
+
+/**
+ * @typedef {Object} BeanExport
+ * @property {string} filename
+ * @property {string} mimeType
+ * @property {string|ArrayBuffer} data - Text for glTF and OBJ, binary for STL
+ */
+
+/**
+ * @param {Object} [config] - Bean config (shape, crease, colours, geometryType)
+ * @param {'gltf'|'obj'|'stl'} [format]
+ * @returns {BeanExport}
+ */
+export function exportBean(config = BEAN_CONFIG, format = 'gltf') {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const geometry = createBeanGeometry(config);
+  const name = `brewlingo-bean-${config.geometryType || 'superellipse'}`;
+
+  const writers = {
+    gltf: () => exportGLTF(geometry, config, name),
+    obj: () => exportOBJ(geometry, name),
+    stl: () => exportSTL(geometry),
+  };
+  const data = writers[format]();
+  geometry.dispose();
+
+  return { filename: `${name}.${extension}`, mimeType, data };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Chunked so large buffers don't overflow String.fromCharCode's arguments
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Same rounded-rectangle test as BeanShaderFragmentShader, so exported
+// colours put the crease where the landing page draws it
+function isInCrease(u, v, z, config) {
+  if (z < 0) return false;
+  const radius = config.creaseRadius;
+  const qx = Math.abs(u) - getCreaseWidth(config) + radius;
+  const qy = Math.abs(v) - config.creaseLength + radius;
+  const dist = Math.min(Math.max(qx, qy), 0) + Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) - radius;
+  return dist < 0;
+}
+
+// Grid corners that only collapsed triangles use (the tips, the edge of a
+// break) come out of computeVertexNormals with zero-length normals. glTF
+// needs unit normals, so those point away from the centre instead
+function getExportNormals(geometry) {
+  const positions = geometry.attributes.position;
+  const normals = geometry.attributes.normal.clone();
+  const normal = new THREE.Vector3();
+
+  for (let i = 0; i < normals.count; i++) {
+    normal.fromBufferAttribute(normals, i);
+    if (normal.lengthSq() > 1e-12) continue;
+
+    normal.fromBufferAttribute(positions, i);
+    if (normal.lengthSq() < 1e-12) normal.set(0, 0, 1);
+    normal.normalize();
+    normals.setXYZ(i, normal.x, normal.y, normal.z);
+  }
+  return normals;
+}
+
+// Linear RGB per vertex: crease colour in the crease, bean colour elsewhere
+function getVertexColors(geometry, config) {
+  const positions = geometry.attributes.position;
+  const uvParams = geometry.attributes.aUvParams;
+  const base = new THREE.Color(config.baseColor);
+  const crease = new THREE.Color(config.creaseColor);
+  const colors = new Float32Array(positions.count * 3);
+
+  for (let i = 0; i < positions.count; i++) {
+    const color = isInCrease(uvParams.getX(i), uvParams.getY(i), positions.getZ(i), config) ? crease : base;
+    color.toArray(colors, i * 3);
+  }
+  return colors;
+}
+
+// ============================================
+// GLTF
+// One mesh with POSITION, NORMAL, COLOR_0 (roast palette) and the raw
+// aUvParams as the custom _UVPARAMS attribute, buffer embedded as base64
+// ============================================
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+function exportGLTF(geometry, config, name) {
+  const positions = geometry.attributes.position;
+  const arrays = [
+    { key: 'POSITION', array: positions.array, type: 'VEC3' },
+    { key: 'NORMAL', array: getExportNormals(geometry).array, type: 'VEC3' },
+    { key: 'COLOR_0', array: getVertexColors(geometry, config), type: 'VEC3' },
+    { key: '_UVPARAMS', array: geometry.attributes.aUvParams.array, type: 'VEC2' },
+  ];
+  const indices = Uint32Array.from(geometry.index.array);
+
+  // Everything is 4-byte data, so views stay aligned back to back
+  const byteLength = arrays.reduce((sum, { array }) => sum + array.byteLength, 0) + indices.byteLength;
+  const bytes = new Uint8Array(byteLength);
+  const bufferViews = [];
+  const accessors = [];
+  const attributes = {};
+  let byteOffset = 0;
+
+  const addView = (array, target) => {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), byteOffset);
+    bufferViews.push({ buffer: 0, byteOffset, byteLength: array.byteLength, target });
+    byteOffset += array.byteLength;
+    return bufferViews.length - 1;
+  };
+
+  arrays.forEach(({ key, array, type }) => {
+    const accessor = {
+      bufferView: addView(array, GL_ARRAY_BUFFER),
+      componentType: GL_FLOAT,
+      count: positions.count,
+      type,
+    };
+    // glTF requires bounds on positions
+    if (key === 'POSITION') {
+      geometry.computeBoundingBox();
+      accessor.min = geometry.boundingBox.min.toArray();
+      accessor.max = geometry.boundingBox.max.toArray();
+    }
+    accessors.push(accessor);
+    attributes[key] = accessors.length - 1;
+  });
+
+  accessors.push({
+    bufferView: addView(indices, GL_ELEMENT_ARRAY_BUFFER),
+    componentType: GL_UNSIGNED_INT,
+    count: indices.length,
+    type: 'SCALAR',
+  });
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'Brewlingo bean exporter' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name }],
+    meshes: [{
+      name,
+      primitives: [{ attributes, indices: accessors.length - 1, material: 0 }],
+    }],
+    // White base colour: the vertex colours carry the roast palette
+    materials: [{
+      name: 'bean',
+      pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 0.7 },
+    }],
+    buffers: [{ byteLength, uri: `data:application/octet-stream;base64,${toBase64(bytes)}` }],
+    bufferViews,
+    accessors,
+  };
+
+  return JSON.stringify(gltf);
+}
+
+// ============================================
+// OBJ
+// aUvParams go out as texture coordinates (vt), unchanged: u runs -1…1
+// around the bean and v -1…1 along it, the crease sits at u = 0
+// ============================================
+function exportOBJ(geometry, name) {
+  const positions = geometry.attributes.position;
+  const normals = getExportNormals(geometry);
+  const uvParams = geometry.attributes.aUvParams;
+  const index = geometry.index.array;
+  const round = value => Number(value.toFixed(6));
+  const lines = [`# Brewlingo bean`, `o ${name}`];
+
+  for (let i = 0; i < positions.count; i++) {
+    lines.push(`v ${round(positions.getX(i))} ${round(positions.getY(i))} ${round(positions.getZ(i))}`);
+  }
+  for (let i = 0; i < uvParams.count; i++) {
+    lines.push(`vt ${round(uvParams.getX(i))} ${round(uvParams.getY(i))}`);
+  }
+  for (let i = 0; i < normals.count; i++) {
+    lines.push(`vn ${round(normals.getX(i))} ${round(normals.getY(i))} ${round(normals.getZ(i))}`);
+  }
+  // OBJ indices are 1-based, and position, vt and vn share the same index
+  for (let i = 0; i < index.length; i += 3) {
+    const [a, b, c] = [index[i] + 1, index[i + 1] + 1, index[i + 2] + 1];
+    lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// ============================================
+// STL (binary)
+// The bean grid repeats vertices along its seam and at the tips. Welding
+// them (positions only) and dropping the collapsed triangles leaves a
+// closed, printable surface
+// ============================================
+function getWatertightTriangles(geometry) {
+  const positionsOnly = new THREE.BufferGeometry();
+  positionsOnly.setAttribute('position', geometry.attributes.position.clone());
+  positionsOnly.setIndex(geometry.index.clone());
+
+  const welded = mergeVertices(positionsOnly, 1e-5);
+  const index = welded.index.array;
+  const triangles = [];
+  for (let i = 0; i < index.length; i += 3) {
+    const [a, b, c] = [index[i], index[i + 1], index[i + 2]];
+    if (a !== b && b !== c && a !== c) triangles.push(a, b, c);
+  }
+
+  positionsOnly.dispose();
+  return { positions: welded.attributes.position, triangles };
+}
+
+function exportSTL(geometry) {
+  const { positions, triangles } = getWatertightTriangles(geometry);
+  const count = triangles.length / 3;
+  const buffer = new ArrayBuffer(84 + count * 50);
+  const view = new DataView(buffer);
+
+  // 80-byte header, then the triangle count
+  new TextEncoder().encodeInto('Brewlingo bean', new Uint8Array(buffer, 0, 80));
+  view.setUint32(80, count, true);
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  let offset = 84;
+
+  for (let i = 0; i < triangles.length; i += 3) {
+    a.fromBufferAttribute(positions, triangles[i]).multiplyScalar(STL_MM_PER_UNIT);
+    b.fromBufferAttribute(positions, triangles[i + 1]).multiplyScalar(STL_MM_PER_UNIT);
+    c.fromBufferAttribute(positions, triangles[i + 2]).multiplyScalar(STL_MM_PER_UNIT);
+    THREE.Triangle.getNormal(a, b, c, normal);
+
+    [normal, a, b, c].forEach(vector => {
+      view.setFloat32(offset, vector.x, true);
+      view.setFloat32(offset + 4, vector.y, true);
+      view.setFloat32(offset + 8, vector.z, true);
+      offset += 12;
+    });
+    // Attribute byte count, unused
+    view.setUint16(offset, 0, true);
+    offset += 2;
+  }
+
+  return buffer;
+}
@@ -4,7 +4,7 @@
  * Configuration imported from consts.js
  */
 import * as THREE from 'three';
-import { BEAN_CONFIG, GEOMETRY_TYPES, GEOMETRY_PARAMS } from './consts.js';
+import { BEAN_CONFIG, GEOMETRY_TYPES, GEOMETRY_PARAMS, ROAST_LEVELS, ROAST_PROGRESSION } from './consts.js';
 
 // Re-export for backwards compatibility
 export { BEAN_CONFIG, GEOMETRY_TYPES };
@@ -30,6 +30,56 @@ function smoothstep(edge0, edge1, x) {
   return t * t * (3 - 2 * t);
 }
 
+// Triangulate a (segmentsU + 1) x (segmentsV + 1) vertex grid into a bean mesh
+function createGridGeometry(vertices, uvParams, segmentsU, segmentsV) {
+  const indices = [];
+  for (let iv = 0; iv < segmentsV; iv++) {
+    for (let iu = 0; iu < segmentsU; iu++) {
+      const a = iv * (segmentsU + 1) + iu;
+      const b = a + 1;
+      const c = a + (segmentsU + 1);
+      const d = c + 1;
+      indices.push(a, b, c);
+      indices.push(b, d, c);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+  geometry.setAttribute('aUvParams', new THREE.Float32BufferAttribute(uvParams, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+
+  return geometry;
+}
+
+// Move every vertex with fn(position, u, v, index), then redo the normals
+function deformGeometry(geometry, fn) {
+  const positions = geometry.attributes.position;
+  const uvParams = geometry.attributes.aUvParams;
+  const point = new THREE.Vector3();
+
+  for (let i = 0; i < positions.count; i++) {
+    point.fromBufferAttribute(positions, i);
+    fn(point, uvParams.getX(i), uvParams.getY(i), i);
+    positions.setXYZ(i, point.x, point.y, point.z);
+  }
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Small deterministic PRNG (mulberry32), so a seed always gives the same bean
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 // ============================================
 // PARAMETRIC BEAN GEOMETRY - CLASSIC (ellipsoid-based)
 // ============================================
@@ -46,7 +96,6 @@ export function createBeanGeometryClassic(config = BEAN_CONFIG, params = {}) {
   const scaleZ = config.beanScaleZ;
 
   const vertices = [];
-  const indices = [];
   const uvParams = [];
 
   for (let iv = 0; iv <= segmentsV; iv++) {
@@ -81,24 +130,7 @@ export function createBeanGeometryClassic(config = BEAN_CONFIG, params = {}) {
     }
   }
 
-  for (let iv = 0; iv < segmentsV; iv++) {
-    for (let iu = 0; iu < segmentsU; iu++) {
-      const a = iv * (segmentsU + 1) + iu;
-      const b = a + 1;
-      const c = a + (segmentsU + 1);
-      const d = c + 1;
-      indices.push(a, b, c);
-      indices.push(b, d, c);
-    }
-  }
-
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-  geometry.setAttribute('aUvParams', new THREE.Float32BufferAttribute(uvParams, 2));
-  geometry.setIndex(indices);
-  geometry.computeVertexNormals();
-
-  return geometry;
+  return createGridGeometry(vertices, uvParams, segmentsU, segmentsV);
 }
 
 // ============================================
@@ -123,7 +155,6 @@ export function createBeanGeometrySuperellipse(config = BEAN_CONFIG, params = {}
   const endPointiness = config.endPointiness;
 
   const vertices = [];
-  const indices = [];
   const uvParams = [];
 
   for (let iv = 0; iv <= segmentsV; iv++) {
@@ -169,36 +200,215 @@ export function createBeanGeometrySuperellipse(config = BEAN_CONFIG, params = {}
     }
   }
 
-  for (let iv = 0; iv < segmentsV; iv++) {
-    for (let iu = 0; iu < segmentsU; iu++) {
-      const a = iv * (segmentsU + 1) + iu;
-      const b = a + 1;
-      const c = a + (segmentsU + 1);
-      const d = c + 1;
-      indices.push(a, b, c);
-      indices.push(b, d, c);
+  return createGridGeometry(vertices, uvParams, segmentsU, segmentsV);
+}
+
+// ============================================
+// PARAMETRIC BEAN GEOMETRY - PEABERRY (round, curved crease)
+// A single seed fills the cherry, so there's no flat face and the crease
+// bows to one side. The bow is baked into aUvParams so the shader's crease
+// follows it
+// ============================================
+export function createBeanGeometryPeaberry(config = BEAN_CONFIG, params = {}) {
+  const {
+    segmentsU = 48,
+    segmentsV = 32,
+    grooveDepth = 0.12,
+    grooveWidth = 0.18
+  } = params;
+
+  const scaleX = config.beanScaleX;
+  const scaleY = config.beanScaleY;
+  const scaleZ = config.beanScaleZ;
+  const curve = config.peaberryCurve;
+
+  const vertices = [];
+  const uvParams = [];
+
+  for (let iv = 0; iv <= segmentsV; iv++) {
+    const v = (iv / segmentsV) * 2 - 1;
+
+    for (let iu = 0; iu <= segmentsU; iu++) {
+      const u = (iu / segmentsU) * 2 - 1;
+
+      const theta = Math.acos(v);
+      const phi = u * Math.PI;
+
+      // Crease centre line, as an offset in u: widest mid-bean, back to 0 at the tips
+      const creaseU = u - curve * Math.cos(v * Math.PI * 0.5);
+
+      let x = Math.sin(theta) * Math.sin(phi) * scaleX;
+      let y = Math.cos(theta) * scaleY;
+      let z = Math.sin(theta) * Math.cos(phi) * scaleZ;
+
+      if (z > 0) {
+        // Slightly flatter front, still domed
+        z *= 0.88;
+        const grooveMask = smoothstep(grooveWidth, 0, Math.abs(creaseU));
+        z -= grooveDepth * grooveMask * (1 - v * v * 0.6) * Math.sin(theta);
+      }
+
+      // Peaberries are often a little egg-shaped
+      const egg = 1 + 0.06 * v;
+      x *= egg;
+      z *= egg;
+
+      vertices.push(x, y, z);
+      uvParams.push(creaseU, v);
     }
   }
 
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-  geometry.setAttribute('aUvParams', new THREE.Float32BufferAttribute(uvParams, 2));
-  geometry.setIndex(indices);
-  geometry.computeVertexNormals();
+  return createGridGeometry(vertices, uvParams, segmentsU, segmentsV);
+}
 
-  return geometry;
+// ============================================
+// DEFECT GEOMETRY (deformed superellipse beans)
+// ============================================
+
+// Broken: everything past a tilted plane is flattened onto it, which closes
+// the fracture face without opening the mesh
+export function createBeanGeometryBroken(config = BEAN_CONFIG, params = {}) {
+  const geometry = createBeanGeometrySuperellipse(config, params);
+  const normal = new THREE.Vector3(Math.sin(config.breakAngle), Math.cos(config.breakAngle), 0);
+  const distance = config.breakLevel * config.beanScaleY;
+  const uvParams = geometry.attributes.aUvParams;
+
+  return deformGeometry(geometry, (point, u, v, i) => {
+    // Jagged edge: a cheap, repeatable wobble across the fracture
+    const wobble = config.breakRoughness * (Math.sin(point.x * 41) + Math.sin(point.z * 53)) * 0.5;
+    const beyond = point.dot(normal) - (distance + wobble);
+    if (beyond <= 0) return;
+
+    point.addScaledVector(normal, -beyond);
+    // The fracture face has no crease
+    uvParams.setX(i, 1);
+  });
+}
+
+// Insect-damaged: round bore holes (coffee berry borer) at seeded spots
+export function createBeanGeometryInsectDamaged(config = BEAN_CONFIG, params = {}) {
+  const { segmentsU = 96, segmentsV = 64 } = params;
+  const geometry = createBeanGeometrySuperellipse(config, { ...params, segmentsU, segmentsV });
+  const positions = geometry.attributes.position;
+  const random = seededRandom(config.holeSeed);
+
+  // Hole centres: grid vertices picked away from the tips
+  const holes = [];
+  for (let i = 0; i < config.holeCount; i++) {
+    const iu = Math.round(random() * segmentsU);
+    const iv = Math.round((0.2 + random() * 0.6) * segmentsV);
+    holes.push(new THREE.Vector3().fromBufferAttribute(positions, iv * (segmentsU + 1) + iu));
+  }
+
+  return deformGeometry(geometry, (point) => {
+    let depth = 0;
+    holes.forEach(hole => {
+      const mask = smoothstep(config.holeRadius, config.holeRadius * 0.5, point.distanceTo(hole));
+      depth = Math.max(depth, mask * config.holeDepth);
+    });
+    // Bore towards the bean's long axis
+    point.x *= 1 - depth;
+    point.z *= 1 - depth;
+  });
+}
+
+// Quaker: an unripe cherry's seed, small, flat and shrivelled
+export function createBeanGeometryQuaker(config = BEAN_CONFIG, params = {}) {
+  const geometry = createBeanGeometrySuperellipse({ ...config, backBulge: config.backBulge * 0.4 }, params);
+
+  return deformGeometry(geometry, (point, u, v) => {
+    const wrinkle = Math.sin(v * Math.PI * config.wrinkleCount + Math.sin(u * Math.PI * 3) * 1.5);
+    const shrink = 1 - config.wrinkleAmount * (0.5 + 0.5 * wrinkle) * (1 - v * v);
+    point.x *= shrink;
+    point.z *= shrink;
+  });
 }
 
 // ============================================
 // GEOMETRY SELECTOR
 // ============================================
+const GEOMETRY_GENERATORS = {
+  [GEOMETRY_TYPES.CLASSIC]: createBeanGeometryClassic,
+  [GEOMETRY_TYPES.SUPERELLIPSE]: createBeanGeometrySuperellipse,
+  [GEOMETRY_TYPES.PEABERRY]: createBeanGeometryPeaberry,
+  [GEOMETRY_TYPES.BROKEN]: createBeanGeometryBroken,
+  [GEOMETRY_TYPES.INSECT_DAMAGED]: createBeanGeometryInsectDamaged,
+  [GEOMETRY_TYPES.QUAKER]: createBeanGeometryQuaker
+};
+
+// Geometry types whose shape comes from the superellipse (kidney) bean
+export const KIDNEY_GEOMETRY_TYPES = [
+  GEOMETRY_TYPES.SUPERELLIPSE,
+  GEOMETRY_TYPES.BROKEN,
+  GEOMETRY_TYPES.INSECT_DAMAGED,
+  GEOMETRY_TYPES.QUAKER
+];
+
+/**
+ * GEOMETRY_PARAMS entry (mesh density, groove, default dimensions) for a type
+ * @param {string} geometryType - A GEOMETRY_TYPES value
+ */
+export function getGeometryParams(geometryType) {
+  const key = Object.keys(GEOMETRY_TYPES).find(name => GEOMETRY_TYPES[name] === geometryType);
+  return GEOMETRY_PARAMS[key] || GEOMETRY_PARAMS.SUPERELLIPSE;
+}
+
 export function createBeanGeometry(config = BEAN_CONFIG, params = {}) {
   const geometryType = config.geometryType || GEOMETRY_TYPES.SUPERELLIPSE;
+  const generate = GEOMETRY_GENERATORS[geometryType] || createBeanGeometrySuperellipse;
+  const developed = developBean(config, { ...getGeometryParams(geometryType), ...params });
 
-  if (geometryType === GEOMETRY_TYPES.CLASSIC) {
-    return createBeanGeometryClassic(config, params);
-  }
-  return createBeanGeometrySuperellipse(config, params);
+  return generate(developed.config, developed.params);
+}
+
+// ============================================
+// ROAST DEVELOPMENT
+// As roastDevelopment goes from 0 (green) to 1 (dark), the bean swells by
+// up to roastExpansion and its crease opens by up to roastCreaseOpening
+// ============================================
+function developBean(config, params) {
+  const development = config.roastDevelopment || 0;
+  if (development <= 0) return { config, params };
+
+  const growth = 1 + config.roastExpansion * development;
+  const opening = 1 + config.roastCreaseOpening * development;
+  return {
+    config: {
+      ...config,
+      // Beans swell more across than along
+      beanScaleX: config.beanScaleX * growth,
+      beanScaleY: config.beanScaleY * (1 + (growth - 1) * 0.5),
+      beanScaleZ: config.beanScaleZ * growth
+    },
+    params: { ...params, grooveWidth: params.grooveWidth * opening }
+  };
+}
+
+/** Shader crease width for the config's roast development */
+export function getCreaseWidth(config = BEAN_CONFIG) {
+  return config.creaseWidth * (1 + (config.roastCreaseOpening || 0) * (config.roastDevelopment || 0));
+}
+
+/**
+ * Colours and stage at a point along ROAST_PROGRESSION
+ * @param {number} progress - 0 = green, 1 = dark
+ * @returns {{ baseColor: string, highlightColor: string, creaseColor: string, step: Object }}
+ *   Hex colours, and the ROAST_PROGRESSION step the bean is closest to
+ */
+export function interpolateRoast(progress) {
+  const position = Math.max(0, Math.min(1, progress)) * (ROAST_PROGRESSION.length - 1);
+  const index = Math.min(Math.floor(position), ROAST_PROGRESSION.length - 2);
+  const from = ROAST_LEVELS[ROAST_PROGRESSION[index].level];
+  const to = ROAST_LEVELS[ROAST_PROGRESSION[index + 1].level];
+  const t = position - index;
+
+  const mix = key => `#${new THREE.Color().lerpColors(new THREE.Color(from[key]), new THREE.Color(to[key]), t).getHexString()}`;
+  return {
+    baseColor: mix('baseColor'),
+    highlightColor: mix('highlightColor'),
+    creaseColor: mix('creaseColor'),
+    step: ROAST_PROGRESSION[Math.round(position)]
+  };
 }
 
 // ============================================
@@ -226,18 +436,44 @@ export function createBeanShaderUniforms(config = BEAN_CONFIG) {
   };
 }
 
+// On an InstancedMesh (USE_INSTANCING) each bean carries its own transform and
+// roast colours as instance attributes, so a whole mixed batch is one draw call.
+// Plain meshes fall back to the colour uniforms
 export const BeanShaderVertexShader = `
   attribute vec2 aUvParams;
+  #ifdef USE_INSTANCING
+    attribute vec3 aBaseColor;
+    attribute vec3 aHighlightColor;
+    attribute vec3 aCreaseColor;
+  #else
+    uniform vec3 baseColor;
+    uniform vec3 highlightColor;
+    uniform vec3 creaseColor;
+  #endif
   varying vec3 vPosition;
   varying vec2 vUvParams;
   varying vec3 vNormal;
   varying vec3 vViewDir;
+  varying vec3 vBaseColor;
+  varying vec3 vHighlightColor;
+  varying vec3 vCreaseColor;
 
   void main() {
     vPosition = position;
     vUvParams = aUvParams;
-    vNormal = normalize(normalMatrix * normal);
-    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    #ifdef USE_INSTANCING
+      vBaseColor = aBaseColor;
+      vHighlightColor = aHighlightColor;
+      vCreaseColor = aCreaseColor;
+      vNormal = normalize(normalMatrix * mat3(instanceMatrix) * normal);
+      vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+    #else
+      vBaseColor = baseColor;
+      vHighlightColor = highlightColor;
+      vCreaseColor = creaseColor;
+      vNormal = normalize(normalMatrix * normal);
+      vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    #endif
     vViewDir = normalize(-mvPosition.xyz);
     gl_Position = projectionMatrix * mvPosition;
   }
@@ -258,21 +494,21 @@ export const BeanShaderFragmentShader = `
   uniform float specularPower;
   uniform float specularThreshold;
   uniform float specularIntensity;
-  uniform vec3 baseColor;
-  uniform vec3 highlightColor;
-  uniform vec3 creaseColor;
 
   varying vec3 vPosition;
   varying vec2 vUvParams;
   varying vec3 vNormal;
   varying vec3 vViewDir;
+  varying vec3 vBaseColor;
+  varying vec3 vHighlightColor;
+  varying vec3 vCreaseColor;
 
   void main() {
     vec3 normal = normalize(vNormal);
     vec3 viewDir = normalize(vViewDir);
-    vec3 effBaseColor = colorEnabled > 0.5 ? baseColor : vec3(0.0);
-    vec3 effHighlightColor = colorEnabled > 0.5 ? highlightColor : vec3(1.0);
-    vec3 effCreaseColor = colorEnabled > 0.5 ? creaseColor : vec3(1.0);
+    vec3 effBaseColor = colorEnabled > 0.5 ? vBaseColor : vec3(0.0);
+    vec3 effHighlightColor = colorEnabled > 0.5 ? vHighlightColor : vec3(1.0);
+    vec3 effCreaseColor = colorEnabled > 0.5 ? vCreaseColor : vec3(1.0);
 
     vec3 color;
     if (toonEnabled > 0.5) {
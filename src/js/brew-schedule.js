@@ -0,0 +1,168 @@
+/**
+ * Pour Schedule
+ * Turns a baseline (ratio, grind, agitation) and a dose into a timed
+ * bloom → pulses → drawdown schedule for the brew timer
+ */
+import { getAgitationIndex } from './baselines.js';
+
+// Pouring speed of a typical gooseneck kettle, grams per second
+const POUR_RATE = 4;
+// Pause between pulses for the bed to settle
+const PULSE_REST = 15;
+
+// Drawdown time after the last pour, finer grinds drain slower (seconds)
+const DRAWDOWN_TIME = {
+  'fine': 75,
+  'med-fine': 65,
+  'medium': 55,
+  'med-coarse': 45,
+  'coarse': 40,
+};
+
+/**
+ * @typedef {Object} PourStyle
+ * @property {string} maxLevel - Highest AGITATION_LEVELS id using this style
+ * @property {number} pulses - Pours after the bloom
+ * @property {number} bloomRatio - Bloom water as a multiple of the dose
+ * @property {number} bloomTime - Seconds
+ * @property {string} bloomCue
+ * @property {string} pulseCue - Shown on every pulse but the last
+ * @property {string} finalCue - Shown on the last pulse
+ */
+
+// By agitation, least first; a baseline uses the middle of its range
+const POUR_STYLES = [
+  {
+    // Very minimal, minimal
+    maxLevel: 'minimal',
+    pulses: 1,
+    bloomRatio: 2,
+    bloomTime: 30,
+    bloomCue: 'Wet all the grounds, no swirl',
+    pulseCue: 'Slow centre pour',
+    finalCue: 'One slow centre pour, no swirl',
+  },
+  {
+    // Very gentle, gentle
+    maxLevel: 'gentle',
+    pulses: 2,
+    bloomRatio: 2,
+    bloomTime: 35,
+    bloomCue: 'Wet all the grounds, gentle swirl',
+    pulseCue: 'Low, slow spirals',
+    finalCue: 'Low spirals, then one gentle swirl',
+  },
+  {
+    // Light, moderate
+    maxLevel: 'moderate',
+    pulses: 3,
+    bloomRatio: 2.5,
+    bloomTime: 40,
+    bloomCue: 'Swirl to saturate the bed',
+    pulseCue: 'Steady spirals',
+    finalCue: 'Steady spirals, then swirl to flatten the bed',
+  },
+  {
+    // High, aggressive
+    maxLevel: 'aggressive',
+    pulses: 4,
+    bloomRatio: 3,
+    bloomTime: 45,
+    bloomCue: 'Stir the bloom',
+    pulseCue: 'Spirals from higher up, swirl after',
+    finalCue: 'Spirals from higher up, then a firm swirl',
+  },
+];
+
+/**
+ * Pour style for an agitation range
+ * @param {{ min: string, max: string }} agitation - AGITATION_LEVELS ids
+ * @returns {PourStyle}
+ */
+export function getPourStyle(agitation) {
+  const middle = Math.round((getAgitationIndex(agitation.min) + getAgitationIndex(agitation.max)) / 2);
+  return POUR_STYLES.find(style => middle <= getAgitationIndex(style.maxLevel)) || POUR_STYLES.at(-1);
+}
+
+/**
+ * @typedef {Object} PourStep
+ * @property {'bloom'|'pour'|'drawdown'} type
+ * @property {string} label - e.g. "Pulse 2 of 3"
+ * @property {number} start - Seconds from the start of the brew
+ * @property {number} end - Seconds; the next step starts here
+ * @property {number} target - Scale reading (g) to reach during this step
+ * @property {string} cue
+ */
+
+/**
+ * @typedef {Object} PourSchedule
+ * @property {number} dose - Grams of coffee
+ * @property {number} water - Total grams of water
+ * @property {number} ratio - Water per gram of coffee
+ * @property {PourStep[]} steps
+ * @property {number} total - Target end of drawdown, seconds
+ */
+
+/**
+ * Build the schedule for a baseline
+ * Uses the middle of the baseline's ratio range
+ * @param {{ ratio: import('./baselines.js').Range, grind: string, agitation: { min: string, max: string } }} recipe
+ * @param {number} dose - Grams of coffee
+ * @returns {PourSchedule}
+ */
+export function createPourSchedule(recipe, dose) {
+  const ratio = (recipe.ratio.min + recipe.ratio.max) / 2;
+  const water = Math.round(dose * ratio);
+  const style = getPourStyle(recipe.agitation);
+
+  const bloomWater = Math.round(dose * style.bloomRatio);
+  const steps = [{
+    type: 'bloom',
+    label: 'Bloom',
+    start: 0,
+    end: style.bloomTime,
+    target: bloomWater,
+    cue: style.bloomCue,
+  }];
+
+  const pulseWater = (water - bloomWater) / style.pulses;
+  let time = style.bloomTime;
+  for (let pulse = 1; pulse <= style.pulses; pulse++) {
+    const last = pulse === style.pulses;
+    const pourTime = Math.ceil(pulseWater / POUR_RATE);
+    const duration = last ? pourTime : pourTime + PULSE_REST;
+
+    steps.push({
+      type: 'pour',
+      label: style.pulses === 1 ? 'Main pour' : `Pulse ${pulse} of ${style.pulses}`,
+      start: time,
+      end: time + duration,
+      target: last ? water : Math.round(bloomWater + pulseWater * pulse),
+      cue: last ? style.finalCue : style.pulseCue,
+    });
+    time += duration;
+  }
+
+  const total = time + (DRAWDOWN_TIME[recipe.grind] ?? DRAWDOWN_TIME.medium);
+  steps.push({
+    type: 'drawdown',
+    label: 'Drawdown',
+    start: time,
+    end: total,
+    target: water,
+    cue: 'Hands off, let it drain',
+  });
+
+  return { dose, water, ratio, steps, total };
+}
+
+/**
+ * Step running at a given time; the drawdown step keeps going past its end
+ * @param {PourSchedule} schedule
+ * @param {number} elapsed - Seconds
+ * @returns {number} Index into schedule.steps
+ */
+export function getStepIndex(schedule, elapsed) {
+  const index = schedule.steps.findIndex(step => elapsed < step.end);
+  return index < 0 ? schedule.steps.length - 1 : index;
+}
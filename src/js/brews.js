@@ -0,0 +1,155 @@
+/**
+ * Brew Journal
+ * Logged brews with their actual parameters, checked against the
+ * matching pourover baseline. Stored in the local database (db.js)
+ */
+import { getAll, getRecord, putRecord, deleteRecord } from './db.js';
+import {
+  combineBaselines,
+  getGrindIndex,
+  getAgitationIndex,
+  formatTemp,
+  formatRatio,
+  formatGrind,
+  formatAgitation
+} from './baselines.js';
+
+const STORE = 'brews';
+
+/**
+ * @typedef {Object} Brew
+ * @property {number} [id] - Assigned on first save
+ * @property {string} coffee - Coffee name, brews are grouped by it
+ * @property {Object<string, string|null>} factors - Baseline section id → baseline id
+ * @property {number} dose - Grams of coffee
+ * @property {number} water - Grams of water
+ * @property {number} temp - °C
+ * @property {string} grind - GRIND_LEVELS id
+ * @property {string} agitation - AGITATION_LEVELS id
+ * @property {number} time - Total brew time in seconds
+ * @property {string} notes
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+// ============================================
+// STORAGE
+// ============================================
+
+/** @returns {Promise<Brew[]>} Newest first */
+export async function listBrews() {
+  const brews = await getAll(STORE);
+  return brews.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** @returns {Promise<Brew|undefined>} */
+export function getBrew(id) {
+  return getRecord(STORE, id);
+}
+
+/**
+ * Create or update a brew, stamping its timestamps
+ * @param {Brew} brew
+ * @returns {Promise<number>} The brew id
+ */
+export function saveBrew(brew) {
+  const now = new Date().toISOString();
+  return putRecord(STORE, {
+    ...brew,
+    createdAt: brew.createdAt || now,
+    updatedAt: now,
+  });
+}
+
+/** @returns {Promise<void>} */
+export function deleteBrew(id) {
+  return deleteRecord(STORE, id);
+}
+
+// ============================================
+// BASELINE CHECK
+// ============================================
+
+/**
+ * @typedef {Object} BrewCheck
+ * @property {string} param - "temp", "ratio", "grind" or "agitation"
+ * @property {string} expected - Formatted baseline value
+ * @property {-1|0|1} status - Below, within or above the baseline
+ */
+
+function compareToRange(value, min, max) {
+  if (value < min) return -1;
+  if (value > max) return 1;
+  return 0;
+}
+
+/** Water to coffee ratio of a brew, to one decimal */
+export function getBrewRatio(brew) {
+  return Math.round(brew.water / brew.dose * 10) / 10;
+}
+
+/**
+ * Check a brew against the baseline combined from its factors
+ * Grind and agitation compare positions on their scales, so a status of 1
+ * means coarser / more agitation than the baseline
+ * @param {Brew} brew
+ * @returns {{ baseline: import('./baselines.js').CombinedBaseline, checks: BrewCheck[] }|null}
+ *   null when the brew has no factors to match
+ */
+export function checkBrew(brew) {
+  const baseline = combineBaselines(brew.factors);
+  if (!baseline) return null;
+
+  const checks = [
+    {
+      param: 'temp',
+      expected: formatTemp(baseline.temp),
+      status: compareToRange(brew.temp, baseline.temp.min, baseline.temp.max),
+    },
+    {
+      param: 'ratio',
+      expected: formatRatio(baseline.ratio),
+      status: compareToRange(getBrewRatio(brew), baseline.ratio.min, baseline.ratio.max),
+    },
+    {
+      param: 'grind',
+      expected: formatGrind(baseline.grind),
+      status: Math.sign(getGrindIndex(brew.grind) - getGrindIndex(baseline.grind)),
+    },
+    {
+      param: 'agitation',
+      expected: formatAgitation(baseline.agitation),
+      status: compareToRange(
+        getAgitationIndex(brew.agitation),
+        getAgitationIndex(baseline.agitation.min),
+        getAgitationIndex(baseline.agitation.max)
+      ),
+    },
+  ];
+
+  return { baseline, checks };
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/** 195 → "3:15" */
+export function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * "3:15" or "195" → 195
+ * @returns {number|null} null when the text isn't a duration
+ */
+export function parseDuration(text) {
+  const match = text.trim().match(/^(?:(\d+):)?(\d+)$/);
+  if (!match) return null;
+  const [, minutes, seconds] = match;
+  if (minutes !== undefined && Number(seconds) >= 60) return null;
+  return minutes === undefined
+    ? Number(seconds)
+    : Number(minutes) * 60 + Number(seconds);
+}
@@ -9,6 +9,11 @@
 export const GEOMETRY_TYPES = {
   CLASSIC: "classic",
   SUPERELLIPSE: "superellipse",
+  PEABERRY: "peaberry",
+  // Defects, built on the superellipse bean
+  BROKEN: "broken",
+  INSECT_DAMAGED: "insect-damaged",
+  QUAKER: "quaker",
 };
 
 export const GEOMETRY_PARAMS = {
@@ -32,6 +37,47 @@ export const GEOMETRY_PARAMS = {
     beanScaleY: 0.66,
     beanScaleZ: 0.35,
   },
+  PEABERRY: {
+    segmentsU: 48,
+    segmentsV: 32,
+    grooveDepth: 0.12,
+    grooveWidth: 0.18,
+    // Default dimensions (one seed per cherry, so rounder)
+    beanScaleX: 0.46,
+    beanScaleY: 0.58,
+    beanScaleZ: 0.44,
+  },
+  BROKEN: {
+    segmentsU: 48,
+    segmentsV: 48,
+    grooveDepth: 0.22,
+    grooveWidth: 0.28,
+    // Default dimensions
+    beanScaleX: 0.45,
+    beanScaleY: 0.66,
+    beanScaleZ: 0.35,
+  },
+  INSECT_DAMAGED: {
+    // Denser mesh so the bore holes stay round
+    segmentsU: 96,
+    segmentsV: 64,
+    grooveDepth: 0.22,
+    grooveWidth: 0.28,
+    // Default dimensions
+    beanScaleX: 0.45,
+    beanScaleY: 0.66,
+    beanScaleZ: 0.35,
+  },
+  QUAKER: {
+    segmentsU: 64,
+    segmentsV: 48,
+    grooveDepth: 0.16,
+    grooveWidth: 0.24,
+    // Default dimensions (underdeveloped: smaller and flatter)
+    beanScaleX: 0.4,
+    beanScaleY: 0.6,
+    beanScaleZ: 0.27,
+  },
 };
 
 // ============================================
@@ -50,6 +96,24 @@ export const BEAN_CONFIG = {
   // End pinch
   endPinch: 0,
   endPointiness: 0.14,
+  // Peaberry: how far the crease bows to one side
+  peaberryCurve: 0.2,
+  // Broken: where the fracture cuts (0 = middle, 1 = tip), its tilt and jaggedness
+  breakLevel: 0.25,
+  breakAngle: 0.5,
+  breakRoughness: 0.03,
+  // Insect damage: bore holes
+  holeCount: 3,
+  holeRadius: 0.07,
+  holeDepth: 0.3,
+  holeSeed: 7,
+  // Quaker: shrivelled surface
+  wrinkleAmount: 0.06,
+  wrinkleCount: 5,
+  // Roast development: 0 = green, 1 = dark. The bean puffs up and its crease opens
+  roastDevelopment: 0,
+  roastExpansion: 0.2,
+  roastCreaseOpening: 1.2,
   // Crease
   creaseWidth: 0.027,
   creaseLength: 0.7,
@@ -168,6 +232,17 @@ export const ROAST_LEVELS = {
   },
 };
 
+// ROAST_LEVELS in roast order, with what's happening to the bean at each one
+// (the roast progression readout in single-bean mode)
+export const ROAST_PROGRESSION = [
+  { level: "green", label: "Green", stage: "Drying: water cooks off, the bean is still hard and grassy" },
+  { level: "ultralight", label: "Nordic", stage: "First crack: steam pops the bean and it starts to swell" },
+  { level: "light", label: "Light", stage: "Development: sugars caramelise, acidity at its brightest" },
+  { level: "mediumLight", label: "Medium-Light", stage: "Development: sweetness builds as acidity softens" },
+  { level: "medium", label: "Medium", stage: "Late development: body and caramel take over" },
+  { level: "dark", label: "Dark", stage: "Second crack: oils surface, roast flavours dominate" },
+];
+
 // Get all roast levels with weighted probabilities for Blend preset
 // Dark has 1/3 probability, green has 1/10 probability relative to others
 export function getColoredRoastLevels() {
@@ -213,11 +288,14 @@ export const LANDING_PAGE_CONFIG = {
   elasticPeriod: 0.3,
   // Collision
   collisionEnabled: true,
+  // Used as the restitution coefficient: 1 = full bounce, 0 = beans stop on contact
   collisionDamping: 0.8,
   collisionRadiusMultiplier: 0.5,
   // Landing card transition
   cardFadeScale: 2,
   cardFadeDuration: 0.9,
+  // Roast progression: seconds from green to dark
+  roastDuration: 12,
   // Defaults
   preset: "blend",
   cmykEnabled: true,
@@ -0,0 +1,90 @@
+/**
+ * Brewing Control Chart
+ * SVG plot of strength (TDS) against extraction yield with the ideal zone
+ * from extraction.js. Readings off the chart are pinned to its edge
+ */
+import { EXTRACTION_TARGETS } from './extraction.js';
+import { escapeHtml } from './dom.js';
+
+// Visible range of each axis, in %
+const EXTRACTION_AXIS = { min: 14, max: 26, step: 1 };
+const STRENGTH_AXIS = { min: 0.9, max: 1.7, step: 0.1 };
+
+/**
+ * @typedef {Object} ControlPoint
+ * @property {number} extraction - %
+ * @property {number} tds - %
+ * @property {string} label - Used for the point's tooltip
+ * @property {boolean} [current] - Highlighted, drawn on top
+ */
+
+const round = n => Math.round(n * 10) / 10;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function ticks(axis) {
+  const count = Math.round((axis.max - axis.min) / axis.step);
+  return Array.from({ length: count + 1 }, (_, i) => Number((axis.min + i * axis.step).toFixed(2)));
+}
+
+/**
+ * Render the chart as an SVG string
+ * @param {ControlPoint[]} points - Drawn in order, current ones last
+ * @param {{ width?: number, height?: number }} [options]
+ * @returns {string} SVG markup
+ */
+export function renderControlChart(points, { width = 420, height = 340 } = {}) {
+  const plot = { left: 44, right: width - 12, top: 12, bottom: height - 40 };
+  const x = extraction => round(plot.left + (clamp(extraction, EXTRACTION_AXIS.min, EXTRACTION_AXIS.max) - EXTRACTION_AXIS.min)
+    / (EXTRACTION_AXIS.max - EXTRACTION_AXIS.min) * (plot.right - plot.left));
+  const y = tds => round(plot.bottom - (clamp(tds, STRENGTH_AXIS.min, STRENGTH_AXIS.max) - STRENGTH_AXIS.min)
+    / (STRENGTH_AXIS.max - STRENGTH_AXIS.min) * (plot.bottom - plot.top));
+
+  const grid = [
+    ...ticks(EXTRACTION_AXIS).map(value => `
+      <line class="control-grid" x1="${x(value)}" y1="${plot.top}" x2="${x(value)}" y2="${plot.bottom}"/>
+      <text class="control-tick" x="${x(value)}" y="${plot.bottom + 14}" text-anchor="middle">${value}</text>`),
+    ...ticks(STRENGTH_AXIS).map(value => `
+      <line class="control-grid" x1="${plot.left}" y1="${y(value)}" x2="${plot.right}" y2="${y(value)}"/>
+      <text class="control-tick" x="${plot.left - 6}" y="${y(value)}" text-anchor="end" dominant-baseline="middle">${value.toFixed(1)}</text>`)
+  ].join('');
+
+  const { extraction, strength } = EXTRACTION_TARGETS;
+  const zone = `
+    <rect class="control-zone" x="${x(extraction.min)}" y="${y(strength.max)}"
+      width="${round(x(extraction.max) - x(extraction.min))}" height="${round(y(strength.min) - y(strength.max))}"/>
+    <line class="control-bound" x1="${x(extraction.min)}" y1="${plot.top}" x2="${x(extraction.min)}" y2="${plot.bottom}"/>
+    <line class="control-bound" x1="${x(extraction.max)}" y1="${plot.top}" x2="${x(extraction.max)}" y2="${plot.bottom}"/>
+    <line class="control-bound" x1="${plot.left}" y1="${y(strength.min)}" x2="${plot.right}" y2="${y(strength.min)}"/>
+    <line class="control-bound" x1="${plot.left}" y1="${y(strength.max)}" x2="${plot.right}" y2="${y(strength.max)}"/>
+    <text class="control-zone-label" x="${round((x(extraction.min) + x(extraction.max)) / 2)}" y="${round((y(strength.min) + y(strength.max)) / 2)}"
+      text-anchor="middle" dominant-baseline="middle">Ideal</text>`;
+
+  // Corner zones of the classic chart
+  const corners = [
+    { text: 'Strong · Underdeveloped', x: plot.left + 6, y: plot.top + 12, anchor: 'start' },
+    { text: 'Strong · Bitter', x: plot.right - 6, y: plot.top + 12, anchor: 'end' },
+    { text: 'Weak · Underdeveloped', x: plot.left + 6, y: plot.bottom - 8, anchor: 'start' },
+    { text: 'Weak · Bitter', x: plot.right - 6, y: plot.bottom - 8, anchor: 'end' }
+  ].map(corner => `<text class="control-corner" x="${corner.x}" y="${corner.y}" text-anchor="${corner.anchor}">${corner.text}</text>`).join('');
+
+  const axes = `
+    <text class="control-axis-label" x="${round((plot.left + plot.right) / 2)}" y="${height - 6}" text-anchor="middle">Extraction yield (%)</text>
+    <text class="control-axis-label" x="12" y="${round((plot.top + plot.bottom) / 2)}" text-anchor="middle"
+      transform="rotate(-90 12 ${round((plot.top + plot.bottom) / 2)})">TDS (%)</text>`;
+
+  const dots = [...points.filter(point => !point.current), ...points.filter(point => point.current)]
+    .map(point => `
+      <circle class="control-point${point.current ? ' current' : ''}" cx="${x(point.extraction)}" cy="${y(point.tds)}" r="${point.current ? 7 : 5}">
+        <title>${escapeHtml(point.label)}</title>
+      </circle>`)
+    .join('');
+
+  return `
+    <svg class="control-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Brewing control chart">
+      <g class="control-grid-lines">${grid}</g>
+      ${zone}
+      ${corners}
+      ${axes}
+      <g class="control-points">${dots}</g>
+    </svg>`;
+}
@@ -0,0 +1,108 @@
+/**
+ * Local Database
+ * Promise wrapper around the browser's IndexedDB for user records
+ * (tasting sessions, brew journal, refractometer readings, coffee bags, ...).
+ * Everything stays on the device.
+ */
+
+const DB_NAME = 'brewlingo';
+
+// ============================================
+// SCHEMA
+// One upgrade per database version: append new entries, never edit old ones
+// ============================================
+const MIGRATIONS = [
+  // v1: tasting sessions
+  db => db.createObjectStore('tastings', { keyPath: 'id', autoIncrement: true }),
+  // v2: brew journal
+  db => db.createObjectStore('brews', { keyPath: 'id', autoIncrement: true }),
+  // v3: refractometer readings (extraction.html)
+  db => db.createObjectStore('extractions', { keyPath: 'id', autoIncrement: true }),
+  // v4: coffee bag inventory
+  db => db.createObjectStore('bags', { keyPath: 'id', autoIncrement: true }),
+];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+
+      request.onupgradeneeded = (e) => {
+        const db = request.result;
+        for (let version = e.oldVersion; version < MIGRATIONS.length; version++) {
+          MIGRATIONS[version](db, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version opened in another tab upgrade the schema.
+        // Forget the closed connection so the next call reopens the database
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        // Don't cache the failure: a later call may succeed
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(storeName, mode, action) {
+  const db = await openDatabase();
+  return promisify(action(db.transaction(storeName, mode).objectStore(storeName)));
+}
+
+// ============================================
+// RECORDS
+// ============================================
+
+/**
+ * @param {string} storeName
+ * @returns {Promise<Object[]>} In key order
+ */
+export function getAll(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * @param {string} storeName
+ * @param {number} id
+ * @returns {Promise<Object|undefined>}
+ */
+export function getRecord(storeName, id) {
+  return withStore(storeName, 'readonly', store => store.get(id));
+}
+
+/**
+ * Insert (no id) or replace (with id) a record
+ * @param {string} storeName
+ * @param {Object} record
+ * @returns {Promise<number>} The record's id
+ */
+export function putRecord(storeName, record) {
+  return withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * @param {string} storeName
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, id) {
+  return withStore(storeName, 'readwrite', store => store.delete(id));
+}
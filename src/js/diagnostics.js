@@ -0,0 +1,272 @@
+/**
+ * Brew Diagnostics
+ * Maps the "Possible causes" of tasted vocabulary values onto brewing faults,
+ * ranks them and turns them into temperature, grind and agitation corrections
+ */
+import { VOCABULARY, getValue, getCategoryValues } from './vocabulary.js';
+import {
+  GRIND_LEVELS,
+  AGITATION_LEVELS,
+  getGrindIndex,
+  getAgitationIndex
+} from './baselines.js';
+
+/**
+ * @typedef {Object} BrewingCause
+ * @property {string} id
+ * @property {string} label
+ * @property {RegExp} pattern - Matched against vocabulary cause phrases
+ * @property {{ temp?: number, grind?: number, agitation?: number }} adjust -
+ *   temp in °C, grind in GRIND_LEVELS steps (+ = coarser),
+ *   agitation in AGITATION_LEVELS steps (+ = more)
+ * @property {string} tip
+ */
+
+// ============================================
+// CAUSES
+// Positive phrases ("proper extraction", "even extraction") match nothing,
+// so only faults are ranked
+// ============================================
+/** @type {BrewingCause[]} */
+export const CAUSES = [
+  {
+    id: 'underextraction',
+    label: 'Underextraction',
+    pattern: /underextract|weak extraction|insufficient sweetness|muted cup/,
+    adjust: { temp: 2, grind: -1, agitation: 1 },
+    tip: 'Extract more: hotter water, a finer grind or a little more agitation.',
+  },
+  {
+    id: 'overextraction',
+    label: 'Overextraction',
+    pattern: /(?<!fines )overextract/,
+    adjust: { temp: -2, grind: 1, agitation: -1 },
+    tip: 'Extract less: cooler water, a coarser grind and calmer pours.',
+  },
+  {
+    id: 'low-temperature',
+    label: 'Water too cool',
+    pattern: /low temperature/,
+    adjust: { temp: 2 },
+    tip: 'Check the kettle: water loses heat fast between boil and bed.',
+  },
+  {
+    id: 'coarse-grind',
+    label: 'Grind too coarse',
+    pattern: /coarse grind/,
+    adjust: { grind: -1 },
+    tip: 'Go one step finer and keep everything else the same.',
+  },
+  {
+    id: 'fine-grind',
+    label: 'Grind too fine',
+    pattern: /fine grind|finer grind/,
+    adjust: { grind: 1 },
+    tip: 'Go one step coarser; drawdown should speed up.',
+  },
+  {
+    id: 'low-agitation',
+    label: 'Not enough agitation',
+    pattern: /low agitation|insufficient agitation/,
+    adjust: { agitation: 1 },
+    tip: 'Stir the bloom or add a gentle swirl after the last pour.',
+  },
+  {
+    id: 'uneven-extraction',
+    label: 'Uneven extraction',
+    pattern: /uneven|grind variability/,
+    adjust: { agitation: 1 },
+    tip: 'Saturate the whole bed during the bloom and pour in steady spirals.',
+  },
+  {
+    id: 'channeling',
+    label: 'Channeling',
+    pattern: /channel|disrupted flow/,
+    adjust: { grind: 1, agitation: -1 },
+    tip: 'Pour low and centred, avoid hitting the filter walls.',
+  },
+  {
+    id: 'fines',
+    label: 'Fines overextracting',
+    pattern: /fines/,
+    adjust: { grind: 1, agitation: -1 },
+    tip: 'Fewer fines: grind slightly coarser or sift, and swirl instead of stirring.',
+  },
+  {
+    id: 'stale-beans',
+    label: 'Stale beans',
+    pattern: /stale/,
+    adjust: {},
+    tip: 'Use beans within roughly 2–6 weeks of roast.',
+  },
+  {
+    id: 'low-dose',
+    label: 'Dose too low',
+    pattern: /low dose/,
+    adjust: {},
+    tip: 'Tighten the ratio towards 1:15.',
+  },
+  {
+    id: 'filter',
+    label: 'Filter taste',
+    pattern: /filter/,
+    adjust: {},
+    tip: 'Rinse the paper filter thoroughly with hot water.',
+  },
+  {
+    id: 'water',
+    label: 'Water chemistry',
+    pattern: /water imbalance/,
+    adjust: {},
+    tip: 'Check your water: too soft or too hard both dull the cup.',
+  },
+];
+
+/**
+ * Brewing causes behind a vocabulary value, most likely first
+ * @param {string} valueId - e.g. "clarity-low"
+ * @returns {BrewingCause[]}
+ */
+export function getValueCauses(valueId) {
+  const { value } = getValue(valueId) || {};
+  if (!value) return [];
+
+  const causes = [];
+  value.causes.forEach(phrase => {
+    CAUSES
+      .filter(cause => cause.pattern.test(phrase) && !causes.includes(cause))
+      .forEach(cause => causes.push(cause));
+  });
+  return causes;
+}
+
+/**
+ * Vocabulary values that point at a brewing cause, in vocabulary order
+ * @param {string} causeId - e.g. "overextraction"
+ * @returns {string[]} Value ids
+ */
+export function getCauseValues(causeId) {
+  return VOCABULARY
+    .flatMap(getCategoryValues)
+    .filter(value => getValueCauses(value.id).some(cause => cause.id === causeId))
+    .map(value => value.id);
+}
+
+// ============================================
+// DIAGNOSIS
+// ============================================
+
+/**
+ * @typedef {Object} RankedCause
+ * @property {BrewingCause} cause
+ * @property {number} score
+ * @property {string[]} evidence - Value ids pointing at this cause
+ */
+
+/**
+ * Rank the causes behind a set of tasted values
+ * Each value votes for its causes, earlier causes weigh more (1, 1/2, 1/3…)
+ * @param {string[]} valueIds - At most one per category
+ * @returns {RankedCause[]} Highest score first
+ */
+export function diagnose(valueIds) {
+  const ranked = new Map();
+
+  valueIds.forEach(valueId => {
+    getValueCauses(valueId).forEach((cause, index) => {
+      const entry = ranked.get(cause.id) || { cause, score: 0, evidence: [] };
+      entry.score += 1 / (index + 1);
+      entry.evidence.push(valueId);
+      ranked.set(cause.id, entry);
+    });
+  });
+
+  return [...ranked.values()].sort((a, b) =>
+    b.score - a.score || b.evidence.length - a.evidence.length
+  );
+}
+
+/**
+ * @typedef {Object} Adjustment
+ * @property {number} delta - °C for temp, steps for grind and agitation
+ * @property {BrewingCause[]} reasons - Causes pushing in the chosen direction
+ */
+
+/**
+ * @typedef {Object} BrewCorrection
+ * @property {Adjustment} temp
+ * @property {Adjustment} grind
+ * @property {Adjustment} agitation
+ * @property {string[]} tips - From the ranked causes, in rank order
+ */
+
+const ADJUSTMENT_LIMITS = {
+  temp: { threshold: 0.5, max: 3 },
+  grind: { threshold: 0.3, max: 2 },
+  agitation: { threshold: 0.3, max: 2 },
+};
+
+/**
+ * Blend the ranked causes into one correction per parameter
+ * Causes pulling in opposite directions cancel out, so a cup that is both
+ * under- and overextracted gets technique tips rather than a setting change
+ * @param {RankedCause[]} ranked - From diagnose()
+ * @returns {BrewCorrection}
+ */
+export function suggestCorrection(ranked) {
+  const total = ranked.reduce((sum, entry) => sum + entry.score, 0);
+
+  const correction = {};
+  Object.entries(ADJUSTMENT_LIMITS).forEach(([param, { threshold, max }]) => {
+    const pull = total > 0
+      ? ranked.reduce((sum, entry) => sum + entry.score * (entry.cause.adjust[param] || 0), 0) / total
+      : 0;
+
+    const size = Math.abs(pull) < threshold ? 0 : Math.min(max, Math.max(1, Math.round(Math.abs(pull))));
+    const delta = Math.sign(pull) * size;
+
+    correction[param] = {
+      delta,
+      reasons: delta === 0
+        ? []
+        : ranked
+          .filter(entry => Math.sign(entry.cause.adjust[param] || 0) === Math.sign(delta))
+          .map(entry => entry.cause),
+    };
+  });
+
+  correction.tips = ranked.map(entry => entry.cause.tip);
+  return correction;
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function shiftIndex(levels, index, delta) {
+  return clamp(index + delta, 0, levels.length - 1);
+}
+
+/**
+ * Apply a correction to a baseline (or combined baseline)
+ * Temperatures are capped at 100°C, the grind stays within `grinds` and
+ * agitation at the ends of its scale
+ * @param {{ temp: import('./baselines.js').Range, grind: string, agitation: { min: string, max: string } }} recipe
+ * @param {BrewCorrection} correction
+ * @param {string[]} grinds - GRIND_LEVELS ids the grind may move to
+ * @returns {{ temp: import('./baselines.js').Range, grind: string, agitation: { min: string, max: string } }}
+ */
+export function applyCorrection(recipe, correction, grinds) {
+  const shiftTemp = t => Math.min(100, t + correction.temp.delta);
+  const allowed = grinds.map(getGrindIndex);
+  const grindIndex = clamp(getGrindIndex(recipe.grind) + correction.grind.delta, Math.min(...allowed), Math.max(...allowed));
+  const shiftAgitation = id =>
+    AGITATION_LEVELS[shiftIndex(AGITATION_LEVELS, getAgitationIndex(id), correction.agitation.delta)].id;
+
+  return {
+    temp: { min: shiftTemp(recipe.temp.min), max: shiftTemp(recipe.temp.max) },
+    grind: GRIND_LEVELS[grindIndex].id,
+    agitation: {
+      min: shiftAgitation(recipe.agitation.min),
+      max: shiftAgitation(recipe.agitation.max),
+    },
+  };
+}
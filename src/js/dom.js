@@ -0,0 +1,21 @@
+/**
+ * DOM Helpers
+ * Small utilities shared by the page scripts
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for interpolation into HTML templates
+ * @param {*} value - Any value, stringified
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
@@ -0,0 +1,151 @@
+/**
+ * Drippers
+ * The pourover baselines are written for a V60-style cone. Other drippers
+ * shift the grind, agitation and temperature on top of the
+ * altitude/processing/roast baseline; the chosen one is kept in localStorage
+ */
+import { GRIND_LEVELS, AGITATION_LEVELS, getGrindIndex, getAgitationIndex } from './baselines.js';
+
+const STORAGE_KEY = 'brewlingo-dripper';
+
+/**
+ * @typedef {Object} DripperModifier
+ * @property {number} shift - Grind: levels coarser (+) or finer (−); agitation: levels more or less; temp: °C
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} Dripper
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {{ grind?: DripperModifier, agitation?: DripperModifier, temp?: DripperModifier }} modifiers
+ */
+
+/** @type {Dripper[]} */
+export const DRIPPERS = [
+  {
+    id: 'v60',
+    name: 'Hario V60',
+    description: 'Cone with one large hole and spiral ribs. The baselines are written for it.',
+    modifiers: {},
+  },
+  {
+    id: 'kalita-wave',
+    name: 'Kalita Wave',
+    description: 'Flat bed, three small holes and a fluted filter that barely touches the walls.',
+    modifiers: {
+      agitation: {
+        shift: -1,
+        reason: 'The flat bed extracts evenly on its own; pulse pours with a gentle swirl are enough.',
+      },
+      temp: {
+        shift: 1,
+        reason: 'The slurry cools between pulse pours, so start a little hotter.',
+      },
+    },
+  },
+  {
+    id: 'chemex',
+    name: 'Chemex',
+    description: 'Cone with thick bonded paper that filters out oils and fines.',
+    modifiers: {
+      grind: {
+        shift: 1,
+        reason: 'The thick paper drains slowly and chokes on fines; grind coarser to keep the drawdown moving.',
+      },
+      temp: {
+        shift: 1,
+        reason: 'A coarser grind extracts less, so hotter water makes up for it.',
+      },
+    },
+  },
+  {
+    id: 'origami',
+    name: 'Origami (cone filter)',
+    description: 'Cone with deep ribs and a wide outlet that drains very fast.',
+    modifiers: {
+      grind: {
+        shift: -1,
+        reason: 'The ribs and wide outlet drain fast; grind finer to keep enough contact time.',
+      },
+    },
+  },
+  {
+    id: 'flat-bottom',
+    name: 'Other flat-bottom',
+    description: 'April, Orea, Stagg [X] and similar flat-bottom drippers.',
+    modifiers: {
+      agitation: {
+        shift: -1,
+        reason: 'An even, flat bed needs less help; stirring pushes fines into the filter and stalls the drawdown.',
+      },
+    },
+  },
+];
+
+// ============================================
+// STORAGE
+// ============================================
+export function getDripper(dripperId) {
+  return DRIPPERS.find(dripper => dripper.id === dripperId) || DRIPPERS[0];
+}
+
+/** @returns {Dripper} */
+export function getSelectedDripper() {
+  return getDripper(localStorage.getItem(STORAGE_KEY));
+}
+
+export function selectDripper(dripperId) {
+  localStorage.setItem(STORAGE_KEY, dripperId);
+}
+
+// ============================================
+// APPLYING MODIFIERS
+// ============================================
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * @typedef {Object} DripperDelta
+ * @property {'grind'|'agitation'|'temp'} param
+ * @property {*} from - Value before the dripper
+ * @property {*} to
+ * @property {string} reason
+ */
+
+/**
+ * @param {import('./methods.js').MethodRecipe} recipe
+ * @param {Dripper} dripper
+ * @param {string[]} grinds - GRIND_LEVELS ids the grind may move to
+ * @returns {import('./methods.js').MethodRecipe & { deltas: DripperDelta[] }}
+ *   Deltas only list the values that actually changed
+ */
+export function applyDripper(recipe, dripper, grinds) {
+  const { grind: grindModifier, agitation: agitationModifier, temp: tempModifier } = dripper.modifiers;
+  const result = { ...recipe, deltas: [] };
+
+  if (grindModifier) {
+    const allowed = grinds.map(getGrindIndex);
+    const index = clamp(getGrindIndex(recipe.grind) + grindModifier.shift, Math.min(...allowed), Math.max(...allowed));
+    result.grind = GRIND_LEVELS[index].id;
+  }
+
+  if (agitationModifier && recipe.agitation) {
+    const shift = levelId => AGITATION_LEVELS[clamp(getAgitationIndex(levelId) + agitationModifier.shift, 0, AGITATION_LEVELS.length - 1)].id;
+    result.agitation = { min: shift(recipe.agitation.min), max: shift(recipe.agitation.max) };
+  }
+
+  if (tempModifier) {
+    result.temp = {
+      min: Math.min(100, recipe.temp.min + tempModifier.shift),
+      max: Math.min(100, recipe.temp.max + tempModifier.shift),
+    };
+  }
+
+  Object.entries(dripper.modifiers).forEach(([param, modifier]) => {
+    if (JSON.stringify(result[param]) === JSON.stringify(recipe[param])) return;
+    result.deltas.push({ param, from: recipe[param], to: result[param], reason: modifier.reason });
+  });
+
+  return result;
+}
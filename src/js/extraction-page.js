@@ -0,0 +1,172 @@
+/**
+ * Extraction Page
+ * Extraction yield from dose, beverage weight and TDS, plotted on the
+ * brewing control chart with the saved readings, and linked to the
+ * vocabulary values an off-target cup tends to show
+ */
+import {
+  EXTRACTION_TARGETS,
+  getExtractionYield,
+  judgeExtraction,
+  listReadings,
+  saveReading,
+  deleteReading
+} from './extraction.js';
+import { renderControlChart } from './control-chart.js';
+import { getValue } from './vocabulary.js';
+import { escapeHtml } from './dom.js';
+import { formatQuantity, onUnitsChange } from './units.js';
+import { createUnitPicker, readQuantity } from './unit-picker.js';
+
+const form = document.getElementById('extraction-form');
+const result = form.querySelector('.extraction-result');
+const formStatus = form.querySelector('.form-status');
+const chart = document.querySelector('.extraction-chart');
+const readingsList = document.getElementById('extraction-readings');
+
+let readings = [];
+
+// ============================================
+// READING
+// ============================================
+
+/** @returns {{ dose: number, beverage: number, tds: number, extraction: number }|null} Null until all three are filled in */
+function readForm() {
+  const dose = readQuantity(form.elements.dose);
+  const beverage = readQuantity(form.elements.beverage);
+  const tds = Number(form.elements.tds.value);
+  if (!(dose > 0 && beverage > 0 && tds > 0)) return null;
+
+  return { dose, beverage, tds, extraction: getExtractionYield(dose, beverage, tds) };
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function renderValueLink(valueId) {
+  const { category, value } = getValue(valueId);
+  return `<a class="chip" href="./language.html#${category.id}/${value.id}"><span class="chip-icon"><i class="${value.icon}"></i></span><span class="chip-text">${category.name}: ${value.shortLabel || value.label}</span></a>`;
+}
+
+function renderResult(current) {
+  if (!current) {
+    const { extraction, strength } = EXTRACTION_TARGETS;
+    result.innerHTML = `<p class="extraction-hint">Enter a TDS reading. The ideal zone is ${extraction.min}–${extraction.max}% extraction at ${strength.min}–${strength.max}% TDS.</p>`;
+    return;
+  }
+
+  const verdict = judgeExtraction(current.extraction, current.tds);
+  const ideal = verdict.extraction === 'ideal' && verdict.strength === 'ideal';
+  const links = verdict.valueIds.length > 0
+    ? `
+      <p class="extraction-hint">A cup here tends to taste like:</p>
+      <div class="value-chips extraction-values">${verdict.valueIds.map(renderValueLink).join('')}</div>`
+    : '';
+
+  result.innerHTML = `
+    <div class="extraction-yield">${current.extraction}%</div>
+    <div class="extraction-zone ${ideal ? 'ideal' : 'off'}">${verdict.label}</div>
+    ${links}`;
+}
+
+function renderChart(current) {
+  const points = readings.map(reading => ({
+    extraction: getExtractionYield(reading.dose, reading.beverage, reading.tds),
+    tds: reading.tds,
+    label: `${reading.coffee || new Date(reading.createdAt).toLocaleDateString()}: ${getExtractionYield(reading.dose, reading.beverage, reading.tds)}% at ${reading.tds}% TDS`
+  }));
+  if (current) points.push({ extraction: current.extraction, tds: current.tds, label: 'This reading', current: true });
+
+  chart.innerHTML = renderControlChart(points);
+}
+
+function renderReading(reading) {
+  const extraction = getExtractionYield(reading.dose, reading.beverage, reading.tds);
+  const date = new Date(reading.createdAt).toLocaleDateString();
+  return `
+    <li data-id="${reading.id}">
+      <span>
+        <strong>${extraction}%</strong> at ${reading.tds}% TDS
+        · ${formatQuantity('mass', reading.dose)} → ${formatQuantity('mass', reading.beverage)}
+        ${reading.coffee ? `· ${escapeHtml(reading.coffee)}` : ''}
+        <span class="extraction-reading-date">${date} · ${judgeExtraction(extraction, reading.tds).label}</span>
+      </span>
+      <button type="button" class="btn small" data-action="delete" aria-label="Delete reading"><i class="fa-solid fa-trash"></i></button>
+    </li>`;
+}
+
+function render() {
+  const current = readForm();
+  renderResult(current);
+  renderChart(current);
+  // Newest first
+  readingsList.innerHTML = readings.length > 0
+    ? [...readings].reverse().map(renderReading).join('')
+    : `<li class="extraction-hint">Saved readings are plotted here.</li>`;
+}
+
+async function loadReadings() {
+  try {
+    readings = await listReadings();
+  } catch (error) {
+    readingsList.innerHTML = `<li class="extraction-hint">Readings can't be loaded: this browser is blocking local storage.</li>`;
+    console.error(error);
+    return;
+  }
+  render();
+}
+
+// ============================================
+// EVENTS
+// ============================================
+form.addEventListener('input', render);
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const current = readForm();
+  if (!current) return;
+  formStatus.textContent = '';
+
+  try {
+    await saveReading({
+      coffee: form.elements.coffee.value.trim(),
+      dose: current.dose,
+      beverage: current.beverage,
+      tds: current.tds
+    });
+  } catch (error) {
+    formStatus.textContent = `The reading couldn't be saved: this browser is blocking local storage or is out of space.`;
+    console.error(error);
+    return;
+  }
+
+  // Keep dose and beverage for the next cup of the same recipe
+  form.elements.tds.value = '';
+  loadReadings();
+});
+
+readingsList.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-action="delete"]');
+  if (!button) return;
+  if (!confirm('Delete this reading?')) return;
+
+  formStatus.textContent = '';
+  try {
+    await deleteReading(Number(button.closest('li').dataset.id));
+  } catch (error) {
+    formStatus.textContent = `The reading couldn't be deleted: this browser is blocking local storage.`;
+    console.error(error);
+    return;
+  }
+  loadReadings();
+});
+
+// ============================================
+// INIT
+// ============================================
+createUnitPicker(document.getElementById('unit-picker'));
+onUnitsChange(render);
+
+render();
+loadReadings();
@@ -0,0 +1,114 @@
+/**
+ * Extraction
+ * Refractometer maths for filter coffee: extraction yield from dose, beverage
+ * weight and TDS, checked against the brewing control chart's ideal zone.
+ * Readings are stored in the local database (db.js)
+ */
+import { getAll, putRecord, deleteRecord } from './db.js';
+import { getCauseValues } from './diagnostics.js';
+
+const STORE = 'extractions';
+
+/**
+ * Ideal zone of the brewing control chart (SCA, filter coffee)
+ * @type {{ extraction: import('./baselines.js').Range, strength: import('./baselines.js').Range }}
+ */
+export const EXTRACTION_TARGETS = {
+  // % of the dose dissolved into the cup
+  extraction: { min: 18, max: 22 },
+  // TDS %
+  strength: { min: 1.15, max: 1.35 },
+};
+
+/**
+ * @typedef {Object} ExtractionReading
+ * @property {number} [id] - Assigned on first save
+ * @property {string} coffee - Optional label
+ * @property {number} dose - Grams of coffee
+ * @property {number} beverage - Grams in the cup
+ * @property {number} tds - Total dissolved solids, %
+ * @property {string} createdAt - ISO timestamp
+ */
+
+// ============================================
+// MATHS
+// ============================================
+
+/**
+ * @param {number} dose - Grams of coffee
+ * @param {number} beverage - Grams in the cup
+ * @param {number} tds - %
+ * @returns {number} Extraction yield, %, to two decimals
+ */
+export function getExtractionYield(dose, beverage, tds) {
+  return Number((beverage * tds / dose).toFixed(2));
+}
+
+/**
+ * @typedef {Object} ExtractionVerdict
+ * @property {'under'|'ideal'|'over'} extraction
+ * @property {'weak'|'ideal'|'strong'} strength
+ * @property {string} label - Control chart zone, e.g. "Strong · Underdeveloped"
+ * @property {string[]} valueIds - Vocabulary values this cup is likely to show
+ */
+
+const EXTRACTION_LABELS = { under: 'Underdeveloped', ideal: 'Ideal', over: 'Bitter' };
+const STRENGTH_LABELS = { weak: 'Weak', ideal: 'Ideal', strong: 'Strong' };
+
+// Body follows strength, the rest of the cup follows extraction
+const STRENGTH_VALUES = { weak: ['body-light'], ideal: [], strong: ['body-heavy'] };
+
+function compareToRange(value, range) {
+  if (value < range.min) return -1;
+  if (value > range.max) return 1;
+  return 0;
+}
+
+/**
+ * Place a reading on the control chart
+ * @param {number} extraction - %
+ * @param {number} tds - %
+ * @returns {ExtractionVerdict}
+ */
+export function judgeExtraction(extraction, tds) {
+  const extractionZone = ['under', 'ideal', 'over'][compareToRange(extraction, EXTRACTION_TARGETS.extraction) + 1];
+  const strengthZone = ['weak', 'ideal', 'strong'][compareToRange(tds, EXTRACTION_TARGETS.strength) + 1];
+
+  const label = extractionZone === 'ideal' && strengthZone === 'ideal'
+    ? 'Ideal'
+    : [strengthZone !== 'ideal' && STRENGTH_LABELS[strengthZone], extractionZone !== 'ideal' && EXTRACTION_LABELS[extractionZone]]
+      .filter(Boolean)
+      .join(' · ');
+
+  const extractionValues = extractionZone === 'ideal' ? [] : getCauseValues(`${extractionZone}extraction`);
+
+  return {
+    extraction: extractionZone,
+    strength: strengthZone,
+    label,
+    valueIds: [...new Set([...extractionValues, ...STRENGTH_VALUES[strengthZone]])],
+  };
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/** @returns {Promise<ExtractionReading[]>} Oldest first, the order they were plotted */
+export async function listReadings() {
+  const readings = await getAll(STORE);
+  return readings.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * @param {Omit<ExtractionReading, 'id'|'createdAt'>} reading
+ * @returns {Promise<number>} The reading id
+ */
+export function saveReading(reading) {
+  return putRecord(STORE, { ...reading, createdAt: new Date().toISOString() });
+}
+
+/** @returns {Promise<void>} */
+export function deleteReading(id) {
+  return deleteRecord(STORE, id);
+}
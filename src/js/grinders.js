@@ -0,0 +1,197 @@
+/**
+ * Grinder Profiles
+ * Map the recipe grind levels (GRIND_LEVELS in baselines.js) to real
+ * grinder settings: built-in profiles for common grinders plus user-defined
+ * ones, with the chosen grinder kept in localStorage
+ */
+const STORAGE_KEY = 'brewlingo-grinders';
+
+/**
+ * @typedef {Object} GrindSetting
+ * @property {number} min - Lowest click / dial setting for the level
+ * @property {number} max
+ * @property {import('./baselines.js').Range} [microns] - Approximate particle size
+ */
+
+/**
+ * @typedef {Object} GrinderProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {'clicks'|'dial'} scale - Clicks from zero, or numbers on a dial
+ * @property {Object<string, GrindSetting>} levels - Grind level id → setting
+ * @property {boolean} [custom] - User-defined
+ */
+
+// Typical particle size per level, used when a profile has none
+export const GRIND_MICRONS = {
+  'extra-fine': { min: 200, max: 400 },
+  'fine': { min: 500, max: 650 },
+  'med-fine': { min: 650, max: 800 },
+  'medium': { min: 800, max: 950 },
+  'med-coarse': { min: 950, max: 1100 },
+  'coarse': { min: 1100, max: 1300 },
+  'extra-coarse': { min: 1300, max: 1600 },
+};
+
+/** @type {GrinderProfile[]} */
+export const GRINDERS = [
+  {
+    id: 'comandante-c40',
+    name: 'Comandante C40',
+    scale: 'clicks',
+    // ~30 µm per click
+    levels: {
+      'extra-fine': { min: 7, max: 12, microns: { min: 210, max: 360 } },
+      'fine': { min: 17, max: 21, microns: { min: 510, max: 630 } },
+      'med-fine': { min: 22, max: 25, microns: { min: 660, max: 750 } },
+      'medium': { min: 26, max: 29, microns: { min: 780, max: 870 } },
+      'med-coarse': { min: 30, max: 33, microns: { min: 900, max: 990 } },
+      'coarse': { min: 34, max: 38, microns: { min: 1020, max: 1140 } },
+      'extra-coarse': { min: 39, max: 45, microns: { min: 1170, max: 1350 } },
+    },
+  },
+  {
+    id: '1zpresso-jx-pro',
+    name: '1Zpresso JX-Pro',
+    scale: 'clicks',
+    // 12.5 µm per click, 40 clicks per rotation
+    levels: {
+      'extra-fine': { min: 20, max: 30, microns: { min: 250, max: 375 } },
+      'fine': { min: 48, max: 56, microns: { min: 600, max: 700 } },
+      'med-fine': { min: 57, max: 64, microns: { min: 710, max: 800 } },
+      'medium': { min: 65, max: 72, microns: { min: 810, max: 900 } },
+      'med-coarse': { min: 73, max: 80, microns: { min: 910, max: 1000 } },
+      'coarse': { min: 81, max: 90, microns: { min: 1010, max: 1125 } },
+      'extra-coarse': { min: 91, max: 110, microns: { min: 1140, max: 1375 } },
+    },
+  },
+  {
+    id: 'timemore-c2',
+    name: 'Timemore Chestnut C2',
+    scale: 'clicks',
+    levels: {
+      'fine': { min: 12, max: 14, microns: { min: 500, max: 600 } },
+      'med-fine': { min: 15, max: 17, microns: { min: 620, max: 720 } },
+      'medium': { min: 18, max: 20, microns: { min: 740, max: 840 } },
+      'med-coarse': { min: 21, max: 23, microns: { min: 860, max: 960 } },
+      'coarse': { min: 24, max: 27, microns: { min: 980, max: 1100 } },
+      'extra-coarse': { min: 28, max: 32, microns: { min: 1120, max: 1300 } },
+    },
+  },
+  {
+    id: 'baratza-encore',
+    name: 'Baratza Encore',
+    scale: 'dial',
+    levels: {
+      'extra-fine': { min: 1, max: 5, microns: { min: 250, max: 400 } },
+      'fine': { min: 12, max: 14, microns: { min: 550, max: 650 } },
+      'med-fine': { min: 15, max: 17, microns: { min: 650, max: 750 } },
+      'medium': { min: 18, max: 20, microns: { min: 750, max: 850 } },
+      'med-coarse': { min: 21, max: 24, microns: { min: 850, max: 1000 } },
+      'coarse': { min: 25, max: 28, microns: { min: 1000, max: 1150 } },
+      'extra-coarse': { min: 29, max: 40, microns: { min: 1150, max: 1450 } },
+    },
+  },
+  {
+    id: 'fellow-ode-2',
+    name: 'Fellow Ode Gen 2',
+    scale: 'dial',
+    levels: {
+      'fine': { min: 2, max: 3, microns: { min: 550, max: 700 } },
+      'med-fine': { min: 3, max: 4, microns: { min: 700, max: 800 } },
+      'medium': { min: 4, max: 5, microns: { min: 800, max: 900 } },
+      'med-coarse': { min: 5, max: 6, microns: { min: 900, max: 1050 } },
+      'coarse': { min: 6, max: 8, microns: { min: 1050, max: 1250 } },
+      'extra-coarse': { min: 8, max: 11, microns: { min: 1250, max: 1550 } },
+    },
+  },
+];
+
+// ============================================
+// STORAGE
+// { selected: grinder id or null, custom: GrinderProfile[] }
+// ============================================
+function load() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return { selected: stored.selected ?? null, custom: stored.custom ?? [] };
+  } catch {
+    return { selected: null, custom: [] };
+  }
+}
+
+function save(state) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+}
+
+/** @returns {GrinderProfile[]} Built-in profiles first, then the user's */
+export function listGrinders() {
+  return [...GRINDERS, ...load().custom];
+}
+
+export function getGrinder(grinderId) {
+  return listGrinders().find(grinder => grinder.id === grinderId) || null;
+}
+
+/** @returns {GrinderProfile|null} */
+export function getSelectedGrinder() {
+  return getGrinder(load().selected);
+}
+
+/** @param {string|null} grinderId */
+export function selectGrinder(grinderId) {
+  save({ ...load(), selected: grinderId });
+}
+
+/**
+ * Add or update a user-defined profile
+ * @param {Omit<GrinderProfile, 'id'|'custom'> & { id?: string|null }} grinder - No id adds a new one
+ * @returns {GrinderProfile} The saved profile, with its id
+ */
+export function saveCustomGrinder(grinder) {
+  const state = load();
+  const saved = { ...grinder, id: grinder.id || `custom-${Date.now()}`, custom: true };
+  const index = state.custom.findIndex(existing => existing.id === saved.id);
+  if (index >= 0) state.custom[index] = saved;
+  else state.custom.push(saved);
+  save(state);
+  return saved;
+}
+
+export function deleteCustomGrinder(grinderId) {
+  const state = load();
+  save({
+    selected: state.selected === grinderId ? null : state.selected,
+    custom: state.custom.filter(grinder => grinder.id !== grinderId),
+  });
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Setting for a grind level, with microns filled in from GRIND_MICRONS
+ * @param {GrinderProfile} grinder
+ * @param {string} grindId - GRIND_LEVELS id
+ * @returns {Required<GrindSetting>|null} Null when the profile skips the level
+ */
+export function getGrindSetting(grinder, grindId) {
+  const setting = grinder.levels[grindId];
+  if (!setting) return null;
+  return { ...setting, microns: setting.microns || GRIND_MICRONS[grindId] };
+}
+
+/**
+ * @param {GrinderProfile} grinder
+ * @param {string} grindId
+ * @returns {string} e.g. "22–25 clicks · ~660–750 µm", empty when not mapped
+ */
+export function formatGrindSetting(grinder, grindId) {
+  const setting = getGrindSetting(grinder, grindId);
+  if (!setting) return '';
+
+  const formatRange = range => range.min === range.max ? `${range.min}` : `${range.min}–${range.max}`;
+  const value = grinder.scale === 'clicks' ? `${formatRange(setting)} clicks` : `Dial ${formatRange(setting)}`;
+  return setting.microns ? `${value} · ~${formatRange(setting.microns)} µm` : value;
+}
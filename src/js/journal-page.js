@@ -0,0 +1,289 @@
+/**
+ * Journal Page
+ * Log brews, flag parameters outside the matching pourover baseline,
+ * and browse the history grouped by coffee
+ */
+import {
+  BASELINE_SECTIONS,
+  GRIND_LEVELS,
+  AGITATION_LEVELS,
+  formatGrind
+} from './baselines.js';
+import {
+  listBrews,
+  getBrew,
+  saveBrew,
+  deleteBrew,
+  checkBrew,
+  getBrewRatio,
+  formatDuration,
+  parseDuration
+} from './brews.js';
+import { escapeHtml } from './dom.js';
+import { formatQuantity, onUnitsChange } from './units.js';
+import { createUnitPicker, readQuantity, writeQuantity } from './unit-picker.js';
+
+const form = document.getElementById('journal-form');
+const formTitle = document.getElementById('journal-form-title');
+const cancelButton = form.querySelector('[data-action="cancel"]');
+const formStatus = form.querySelector('.form-status');
+const search = document.getElementById('journal-search');
+const historyList = document.getElementById('journal-history');
+const coffeeNames = document.getElementById('journal-coffees');
+
+const PARAM_LABELS = {
+  temp: 'Temp',
+  ratio: 'Ratio',
+  grind: 'Grind',
+  agitation: 'Agitation',
+  time: 'Time'
+};
+
+// Wording for a check's status, per parameter
+const STATUS_TEXT = {
+  temp: { '-1': 'below', 1: 'above' },
+  ratio: { '-1': 'stronger than', 1: 'weaker than' },
+  grind: { '-1': 'finer than', 1: 'coarser than' },
+  agitation: { '-1': 'less than', 1: 'more than' }
+};
+
+// Id of the brew being edited, null when logging a new one
+let editingId = null;
+let brews = [];
+
+// ============================================
+// RENDERING
+// ============================================
+function renderOptions(items, placeholder) {
+  const options = items
+    .map(item => `<option value="${item.id}">${escapeHtml(item.label || item.name)}</option>`)
+    .join('');
+  return placeholder ? `<option value="">${placeholder}</option>${options}` : options;
+}
+
+function renderFactorSelect(section) {
+  return `
+    <label class="field">
+      <span class="field-label"><i class="${section.icon}"></i> ${escapeHtml(section.title)}</span>
+      <select name="factor-${section.id}">${renderOptions(section.baselines, 'Any')}</select>
+    </label>`;
+}
+
+function renderParam(param, actual, check) {
+  const flag = check && check.status !== 0
+    ? `<div class="param-flag">${STATUS_TEXT[param][check.status]} ${escapeHtml(check.expected)}</div>`
+    : '';
+
+  return `
+    <div class="param${flag ? ' off' : ''}">
+      <div class="param-label">${PARAM_LABELS[param]}</div>
+      <div class="param-value">${escapeHtml(actual)}</div>
+      ${flag}
+    </div>`;
+}
+
+function renderBrew(brew) {
+  const result = checkBrew(brew);
+  const checkOf = param => result?.checks.find(c => c.param === param);
+  const agitation = AGITATION_LEVELS.find(level => level.id === brew.agitation);
+  const offCount = result ? result.checks.filter(c => c.status !== 0).length : 0;
+  const summary = !result
+    ? 'No baseline selected'
+    : offCount === 0
+      ? 'Within baseline'
+      : `${offCount} off baseline`;
+
+  return `
+    <article class="journal-entry card-base static" data-id="${brew.id}">
+      <div class="journal-entry-header">
+        <span class="journal-entry-date">${new Date(brew.createdAt).toLocaleString()}</span>
+        <span class="journal-entry-summary${offCount > 0 ? ' off' : ''}">${summary}</span>
+      </div>
+      <div class="params-row">
+        ${renderParam('temp', formatQuantity('temperature', brew.temp), checkOf('temp'))}
+        ${renderParam('ratio', `1:${getBrewRatio(brew)}`, checkOf('ratio'))}
+        ${renderParam('grind', formatGrind(brew.grind), checkOf('grind'))}
+        ${renderParam('agitation', agitation.label, checkOf('agitation'))}
+        ${renderParam('time', formatDuration(brew.time))}
+      </div>
+      <div class="journal-entry-dose">${formatQuantity('mass', brew.dose)} coffee · ${formatQuantity('mass', brew.water)} water</div>
+      ${brew.notes ? `<p class="journal-entry-notes">${escapeHtml(brew.notes)}</p>` : ''}
+      <div class="journal-entry-actions">
+        <button type="button" class="btn small" data-action="edit"><i class="fa-solid fa-pen"></i> Edit</button>
+        <button type="button" class="btn small" data-action="delete"><i class="fa-solid fa-trash"></i> Delete</button>
+      </div>
+    </article>`;
+}
+
+function matchesSearch(brew, query) {
+  if (!query) return true;
+  const factorNames = BASELINE_SECTIONS
+    .map(section => section.baselines.find(b => b.id === brew.factors[section.id])?.name)
+    .filter(Boolean);
+  return [brew.coffee, brew.notes, ...factorNames]
+    .some(text => text.toLowerCase().includes(query));
+}
+
+function renderHistory() {
+  const query = search.value.trim().toLowerCase();
+  const matching = brews.filter(brew => matchesSearch(brew, query));
+
+  if (brews.length === 0) {
+    historyList.innerHTML = `<p class="journal-hint">No brews logged yet.</p>`;
+    return;
+  }
+  if (matching.length === 0) {
+    historyList.innerHTML = `<p class="journal-hint">No brews match “${escapeHtml(search.value.trim())}”.</p>`;
+    return;
+  }
+
+  // Group by coffee, most recently brewed coffee first (brews are newest first)
+  const groups = new Map();
+  matching.forEach(brew => {
+    if (!groups.has(brew.coffee)) groups.set(brew.coffee, []);
+    groups.get(brew.coffee).push(brew);
+  });
+
+  historyList.innerHTML = [...groups].map(([coffee, entries]) => `
+    <section class="journal-group">
+      <h3 class="journal-group-title">
+        ${escapeHtml(coffee)}
+        <span class="journal-group-count">${entries.length} ${entries.length === 1 ? 'brew' : 'brews'}</span>
+      </h3>
+      <div class="journal-entries">${entries.map(renderBrew).join('')}</div>
+    </section>`).join('');
+}
+
+async function loadBrews() {
+  try {
+    brews = await listBrews();
+  } catch (error) {
+    historyList.innerHTML = `<p class="journal-hint">The journal can't be loaded: this browser is blocking local storage.</p>`;
+    console.error(error);
+    return;
+  }
+
+  coffeeNames.innerHTML = [...new Set(brews.map(brew => brew.coffee))]
+    .map(name => `<option value="${escapeHtml(name)}"></option>`)
+    .join('');
+  renderHistory();
+}
+
+// ============================================
+// FORM
+// ============================================
+function resetForm() {
+  editingId = null;
+  formStatus.textContent = '';
+  form.reset();
+  formTitle.textContent = 'Log a brew';
+  cancelButton.hidden = true;
+}
+
+async function editBrew(id) {
+  formStatus.textContent = '';
+
+  let brew;
+  try {
+    brew = await getBrew(id);
+  } catch (error) {
+    formStatus.textContent = `The brew couldn't be loaded: this browser is blocking local storage.`;
+    console.error(error);
+    return;
+  }
+  if (!brew) return;
+
+  editingId = id;
+  form.elements.coffee.value = brew.coffee;
+  BASELINE_SECTIONS.forEach(section => {
+    form.elements[`factor-${section.id}`].value = brew.factors[section.id] || '';
+  });
+  writeQuantity(form.elements.dose, brew.dose);
+  writeQuantity(form.elements.water, brew.water);
+  writeQuantity(form.elements.temp, brew.temp);
+  form.elements.grind.value = brew.grind;
+  form.elements.agitation.value = brew.agitation;
+  form.elements.time.value = formatDuration(brew.time);
+  form.elements.notes.value = brew.notes;
+  formTitle.textContent = `Edit ${brew.coffee} brew`;
+  cancelButton.hidden = false;
+  form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+form.elements.time.addEventListener('input', () => {
+  const valid = parseDuration(form.elements.time.value) !== null;
+  form.elements.time.setCustomValidity(valid ? '' : 'Use minutes:seconds, e.g. 3:15');
+});
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  formStatus.textContent = '';
+
+  try {
+    const existing = editingId !== null ? await getBrew(editingId) : null;
+    await saveBrew({
+      ...existing,
+      coffee: form.elements.coffee.value.trim(),
+      factors: Object.fromEntries(BASELINE_SECTIONS.map(section => [
+        section.id,
+        form.elements[`factor-${section.id}`].value || null
+      ])),
+      dose: readQuantity(form.elements.dose),
+      water: readQuantity(form.elements.water),
+      temp: readQuantity(form.elements.temp),
+      grind: form.elements.grind.value,
+      agitation: form.elements.agitation.value,
+      time: parseDuration(form.elements.time.value),
+      notes: form.elements.notes.value.trim()
+    });
+  } catch (error) {
+    formStatus.textContent = `The brew couldn't be saved: this browser is blocking local storage or is out of space.`;
+    console.error(error);
+    return;
+  }
+
+  resetForm();
+  loadBrews();
+});
+
+cancelButton.addEventListener('click', resetForm);
+
+search.addEventListener('input', renderHistory);
+
+historyList.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  const id = Number(button.closest('.journal-entry').dataset.id);
+
+  if (button.dataset.action === 'edit') {
+    editBrew(id);
+  } else if (button.dataset.action === 'delete') {
+    if (!confirm('Delete this brew?')) return;
+
+    formStatus.textContent = '';
+    try {
+      await deleteBrew(id);
+    } catch (error) {
+      formStatus.textContent = `The brew couldn't be deleted: this browser is blocking local storage.`;
+      console.error(error);
+      return;
+    }
+    if (editingId === id) resetForm();
+    loadBrews();
+  }
+});
+
+// ============================================
+// INIT
+// ============================================
+createUnitPicker(document.getElementById('unit-picker'));
+onUnitsChange(renderHistory);
+
+document.getElementById('journal-factors').innerHTML = BASELINE_SECTIONS.map(renderFactorSelect).join('');
+form.elements.grind.innerHTML = renderOptions(GRIND_LEVELS);
+form.elements.agitation.innerHTML = renderOptions(AGITATION_LEVELS);
+form.elements.grind.querySelector('[value="medium"]').defaultSelected = true;
+form.elements.agitation.querySelector('[value="gentle"]').defaultSelected = true;
+resetForm();
+loadBrews();
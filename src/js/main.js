@@ -1,9 +1,17 @@
+import { VOCABULARY, getCategory, getCategoryValues, searchVocabulary } from './vocabulary.js';
+import { renderVocabularyCard, renderVocabularyDetail } from './vocabulary-cards.js';
+
+const grid = document.getElementById('vocabulary-grid');
 const dialog = document.getElementById('card-dialog');
 const dialogIcon = dialog.querySelector('.dialog-icon');
 const dialogTitle = dialog.querySelector('.dialog-title');
 const dialogHeader = dialog.querySelector('.dialog-header');
 const dialogBody = dialog.querySelector('.dialog-body');
+const searchInput = document.getElementById('vocabulary-search');
+const searchStatus = document.querySelector('.vocabulary-search-status');
 let activeCard = null;
+// Category id → matching value ids while a search is active, null otherwise
+let searchMatches = null;
 
 const colorMap = {
   yellow: 'var(--yellow)',
@@ -54,14 +62,113 @@ function clearChipTransitionNames(card, dialogEl) {
   });
 }
 
-function openDialog(card) {
-  activeCard = card;
+// ============================================
+// DEEP LINKS
+// #category or #category/value-id, e.g. #structure/structure-hollow
+// ============================================
+function parseHash() {
+  const [categoryId, valueId] = decodeURIComponent(location.hash.slice(1)).split('/');
+  const category = categoryId ? getCategory(categoryId) : undefined;
+  // Ignore values that aren't part of the linked category
+  const value = category && getCategoryValues(category).find(v => v.id === valueId);
+  return { category, valueId: value?.id };
+}
 
-  // Get data from the card
-  const color = card.dataset.color;
-  const icon = card.querySelector('.card-icon').innerHTML;
-  const title = card.querySelector('.card-title').textContent;
-  const content = card.querySelector('.card-content .card-inner').innerHTML;
+function highlightValue(valueId) {
+  dialogBody.querySelectorAll('.spectrum-item.highlighted').forEach(item => {
+    item.classList.remove('highlighted');
+  });
+
+  const item = valueId && dialogBody.querySelector(`.spectrum-item[data-value="${valueId}"]`);
+  if (!item) return;
+
+  item.classList.add('highlighted');
+  item.scrollIntoView({ block: 'center' });
+}
+
+// Push a history entry when opening, so back closes the dialog again
+function navigateTo(hash) {
+  history.pushState({ dialog: true }, '', hash);
+  route();
+}
+
+function navigateBack() {
+  if (history.state?.dialog) {
+    history.back();
+  } else {
+    // Landed on a deep link: nothing of ours to go back to
+    history.replaceState(null, '', location.pathname + location.search);
+    route();
+  }
+}
+
+// Make the dialog match the URL
+function route() {
+  const { category, valueId } = parseHash();
+
+  if (!category) {
+    if (activeCard && dialog.open) closeDialog();
+    return;
+  }
+
+  const card = grid.querySelector(`.card[data-category="${category.id}"]`);
+  if (activeCard !== card) {
+    if (dialog.open) {
+      // Moved between two cards via history: swap content in place
+      activeCard = card;
+      populateDialog(category);
+    } else {
+      openDialog(card, valueId);
+      return;
+    }
+  }
+  highlightValue(valueId);
+}
+
+// ============================================
+// SEARCH
+// ============================================
+function applySearch() {
+  const query = searchInput.value.trim();
+  const matches = query ? searchVocabulary(query) : null;
+  searchMatches = matches && new Map(matches.map(m => [m.category.id, m.valueIds]));
+
+  grid.classList.toggle('filtered', Boolean(matches));
+  grid.querySelectorAll('.card').forEach(card => {
+    const valueIds = searchMatches?.get(card.dataset.category);
+    card.parentElement.hidden = Boolean(searchMatches) && !valueIds;
+    card.querySelectorAll('.chip[data-value]').forEach(chip => {
+      chip.classList.toggle('match', Boolean(valueIds?.includes(chip.dataset.value)));
+    });
+  });
+
+  if (!matches) {
+    searchStatus.textContent = '';
+  } else if (matches.length === 0) {
+    searchStatus.textContent = 'No matches';
+  } else {
+    searchStatus.textContent = `${matches.length} ${matches.length === 1 ? 'category' : 'categories'}`;
+  }
+}
+
+// Link to the card, and to its first matching value while searching
+function cardHash(card) {
+  const valueId = searchMatches?.get(card.dataset.category)?.[0];
+  return valueId ? `#${card.dataset.category}/${valueId}` : `#${card.dataset.category}`;
+}
+
+function visibleCards() {
+  return [...grid.querySelectorAll('.card')].filter(card => !card.parentElement.hidden);
+}
+
+// ============================================
+// DIALOG
+// ============================================
+function populateDialog(category) {
+  const color = category.color;
+  const icon = `<i class="${category.icon}"></i>`;
+  const title = category.name;
+  const content = renderVocabularyDetail(category);
 
   // Set icon color
   const dialogColor = colorMap[color] || 'var(--black)';
@@ -71,6 +178,13 @@ function openDialog(card) {
   dialogIcon.innerHTML = icon;
   dialogTitle.textContent = title;
   dialogBody.innerHTML = content;
+}
+
+function openDialog(card, valueId) {
+  activeCard = card;
+
+  // Get data from the vocabulary
+  populateDialog(getCategory(card.dataset.category));
 
   // Use View Transitions API if available
   if (document.startViewTransition) {
@@ -86,6 +200,7 @@ function openDialog(card) {
       dialog.classList.add('transitioning');
       document.body.classList.add('dialog-open');
       dialog.showModal();
+      highlightValue(valueId);
     });
 
     transition.finished.then(() => {
@@ -97,6 +212,7 @@ function openDialog(card) {
     dialog.classList.add('opening');
     document.body.classList.add('dialog-open');
     dialog.showModal();
+    highlightValue(valueId);
 
     dialog.addEventListener('animationend', () => {
       dialog.classList.remove('opening');
@@ -156,27 +272,66 @@ function closeDialog() {
 // Close on backdrop click
 dialog.addEventListener('click', (e) => {
   if (e.target === dialog) {
-    closeDialog();
+    navigateBack();
   }
 });
 
 // Close button click handler
-dialog.querySelector('.dialog-close').addEventListener('click', closeDialog);
+dialog.querySelector('.dialog-close').addEventListener('click', navigateBack);
 
 // Close on Escape key (prevent default to use our animation)
 dialog.addEventListener('cancel', (e) => {
   e.preventDefault();
-  closeDialog();
+  navigateBack();
 });
 
+// Clicking a spectrum item makes it the linked value
+dialogBody.addEventListener('click', (e) => {
+  const item = e.target.closest('.spectrum-item[data-value]');
+  if (!item) return;
+
+  history.replaceState(history.state, '', `#${activeCard.dataset.category}/${item.dataset.value}`);
+  highlightValue(item.dataset.value);
+});
+
+// Back/forward and edited URLs
+window.addEventListener('hashchange', route);
+
+// Render cards from the vocabulary data
+grid.innerHTML = VOCABULARY.map(renderVocabularyCard).join('');
+
 // Card click handlers
-document.querySelectorAll('.card').forEach(card => {
-  card.addEventListener('click', () => openDialog(card));
+grid.querySelectorAll('.card').forEach(card => {
+  const open = () => navigateTo(cardHash(card));
+
+  card.addEventListener('click', open);
 
   card.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' || e.key === ' ') {
       e.preventDefault();
-      openDialog(card);
+      open();
     }
   });
 });
+
+// Live filtering; Enter opens the first match, arrow down moves into the grid
+searchInput.addEventListener('input', applySearch);
+
+searchInput.addEventListener('keydown', (e) => {
+  const [firstCard] = visibleCards();
+
+  if (e.key === 'Enter' && searchMatches && firstCard) {
+    e.preventDefault();
+    navigateTo(cardHash(firstCard));
+  } else if (e.key === 'ArrowDown' && firstCard) {
+    e.preventDefault();
+    firstCard.focus();
+  } else if (e.key === 'Escape' && searchInput.value) {
+    e.preventDefault();
+    searchInput.value = '';
+    applySearch();
+  }
+});
+
+// Open the linked card, if any
+route();
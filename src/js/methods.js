@@ -0,0 +1,249 @@
+/**
+ * Brew Methods
+ * The altitude, processing and roast baselines are written for pourover.
+ * Other methods start from their own recipe for a medium roast and take the
+ * factors as offsets from the pourover medium roast: hotter, weaker, finer
+ * or more agitation than that reference carries over to the method
+ */
+import {
+  GRIND_LEVELS,
+  AGITATION_LEVELS,
+  getBaseline,
+  getGrindIndex,
+  getAgitationIndex
+} from './baselines.js';
+import { GROUNDS_RETENTION } from './ratio.js';
+import { formatDuration } from './brews.js';
+
+// The pourover baseline the factors are measured against
+const REFERENCE = getBaseline('roast', 'medium');
+
+/**
+ * @typedef {Object} BrewMethod
+ * @property {string} id
+ * @property {string} name
+ * @property {string} icon - Font Awesome icon classes
+ * @property {import('./baselines.js').Range} temp - °C, for a medium roast
+ * @property {import('./baselines.js').Range} ratio - Water (or yield) per gram of coffee
+ * @property {string} grind - GRIND_LEVELS id
+ * @property {string[]} grinds - GRIND_LEVELS ids the factors may move the grind to
+ * @property {{ min: string, max: string }|null} agitation - AGITATION_LEVELS ids, null when it doesn't apply
+ * @property {import('./baselines.js').Range} time - Seconds of contact time
+ * @property {boolean} heated - False when the factors shouldn't move the temperature
+ * @property {number} retention - Grams of water kept per gram of coffee; 0 when the ratio is by yield
+ * @property {boolean} drippers - Brewed through a dripper, so dripper modifiers apply (drippers.js)
+ * @property {string[]} tldr - TL;DR bullets (trusted HTML)
+ */
+
+/** @type {BrewMethod[]} */
+export const METHODS = [
+  {
+    id: 'pourover',
+    name: 'Pourover',
+    icon: 'fa-solid fa-filter',
+    temp: REFERENCE.temp,
+    ratio: REFERENCE.ratio,
+    grind: REFERENCE.grind,
+    agitation: REFERENCE.agitation,
+    grinds: ['fine', 'med-fine', 'medium', 'med-coarse', 'coarse'],
+    time: { min: 150, max: 210 },
+    heated: true,
+    retention: GROUNDS_RETENTION,
+    drippers: true,
+    tldr: [
+      '<strong>Roast level > everything else</strong> (it dictates temp, grind, agitation).',
+      '<strong>Bean density (altitude)</strong> = temperature driver.',
+      '<strong>Processing</strong> sets solubility (anaerobic/natural = lower temp).',
+      '<strong>Agitation</strong> is the #1 cause of over-extraction in home pour-overs.',
+      '<strong>Ratio</strong> is the least sensitive variable — 1:15–1:17 almost always works.',
+    ],
+  },
+  {
+    id: 'aeropress',
+    name: 'AeroPress',
+    icon: 'fa-solid fa-syringe',
+    temp: { min: 85, max: 90 },
+    ratio: { min: 13, max: 16 },
+    grind: 'med-fine',
+    grinds: ['fine', 'med-fine', 'medium'],
+    agitation: { min: 'gentle', max: 'light' },
+    time: { min: 90, max: 150 },
+    heated: true,
+    retention: GROUNDS_RETENTION,
+    drippers: false,
+    tldr: [
+      '<strong>Cooler water than pourover</strong> — full immersion extracts efficiently.',
+      '<strong>Stir, don\'t shake</strong>: a few stirs after pouring is all the agitation it needs.',
+      '<strong>Press slowly</strong> (20–30 s) and stop at the hiss to keep the fines in the puck.',
+      '<strong>Steep time</strong> is your main dial: longer for light roasts, shorter for dark.',
+      '<strong>Inverted</strong> stops early drip-through if you steep longer than a minute.',
+    ],
+  },
+  {
+    id: 'french-press',
+    name: 'French Press',
+    icon: 'fa-solid fa-mug-hot',
+    temp: { min: 92, max: 95 },
+    ratio: { min: 14, max: 16 },
+    grind: 'coarse',
+    grinds: ['med-coarse', 'coarse', 'extra-coarse'],
+    agitation: { min: 'very-minimal', max: 'minimal' },
+    time: { min: 240, max: 300 },
+    heated: true,
+    retention: GROUNDS_RETENTION,
+    drippers: false,
+    tldr: [
+      '<strong>Coarse and long</strong>: 4–5 minutes of immersion does the work.',
+      '<strong>Break the crust</strong> at 4 minutes and skim the foam off the top.',
+      '<strong>Don\'t press hard</strong> — lower the plunger just to the surface.',
+      '<strong>Pour off</strong> straight away so the cup doesn\'t keep steeping.',
+      '<strong>Silt</strong> comes from fines: a coarser grind or a paper filter cleans it up.',
+    ],
+  },
+  {
+    id: 'espresso',
+    name: 'Espresso',
+    icon: 'fa-solid fa-mug-saucer',
+    temp: { min: 92, max: 94 },
+    // By yield: grams in the cup per gram of coffee
+    ratio: { min: 2, max: 2.5 },
+    grind: 'extra-fine',
+    grinds: ['extra-fine'],
+    agitation: null,
+    time: { min: 25, max: 32 },
+    heated: true,
+    retention: 0,
+    drippers: false,
+    tldr: [
+      '<strong>Ratio is by yield</strong>: 18 g in, 36–45 g out.',
+      '<strong>Dial in with grind</strong>, then use the ratio to tune strength.',
+      '<strong>Light roasts</strong> want longer ratios and hotter water; dark roasts the opposite.',
+      '<strong>Puck prep</strong> replaces agitation: distribute evenly and tamp level.',
+      '<strong>Sour and fast</strong> = grind finer; <strong>bitter and slow</strong> = grind coarser.',
+    ],
+  },
+  {
+    id: 'cold-brew',
+    name: 'Cold Brew',
+    icon: 'fa-solid fa-snowflake',
+    temp: { min: 4, max: 22 },
+    // Concentrate, dilute 1:1 to serve
+    ratio: { min: 5, max: 8 },
+    grind: 'extra-coarse',
+    grinds: ['coarse', 'extra-coarse'],
+    agitation: { min: 'very-minimal', max: 'minimal' },
+    time: { min: 12 * 3600, max: 18 * 3600 },
+    heated: false,
+    retention: GROUNDS_RETENTION,
+    drippers: false,
+    tldr: [
+      '<strong>Time replaces heat</strong>: 12–18 hours, in the fridge or at room temperature.',
+      '<strong>Brew a concentrate</strong> and dilute it 1:1 with water or milk to serve.',
+      '<strong>Extra coarse</strong> keeps it from turning muddy and makes filtering easy.',
+      '<strong>Stir once</strong> to wet everything, then leave it alone.',
+      '<strong>Darker roasts</strong> shine here; light roasts can taste flat without heat.',
+    ],
+  },
+  {
+    id: 'flash-brew',
+    name: 'Flash Brew (Iced)',
+    icon: 'fa-solid fa-cubes-stacked',
+    temp: { min: 93, max: 96 },
+    // Hot water + ice together
+    ratio: { min: 15, max: 17 },
+    grind: 'med-fine',
+    grinds: ['fine', 'med-fine', 'medium'],
+    agitation: { min: 'moderate', max: 'moderate' },
+    time: { min: 150, max: 180 },
+    heated: true,
+    retention: GROUNDS_RETENTION,
+    drippers: true,
+    tldr: [
+      '<strong>Brew hot onto ice</strong>: about 60% of the water hot, 40% as ice in the server.',
+      '<strong>Grind finer and brew hotter</strong> than usual — less hot water has to extract the same.',
+      '<strong>Ratio counts the ice</strong>, so the melted cup lands at normal strength.',
+      '<strong>Swirl</strong> the server to chill it fast and lock in the aromatics.',
+      '<strong>Bright, fruity coffees</strong> work best; the cold mutes bitterness.',
+    ],
+  },
+];
+
+export function getMethod(methodId) {
+  return METHODS.find(method => method.id === methodId) || METHODS[0];
+}
+
+// ============================================
+// APPLYING FACTORS
+// ============================================
+const middle = range => (range.min + range.max) / 2;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+/**
+ * @typedef {Object} MethodRecipe
+ * @property {import('./baselines.js').Range} temp
+ * @property {import('./baselines.js').Range} ratio
+ * @property {string} grind
+ * @property {{ min: string, max: string }|null} agitation
+ * @property {import('./baselines.js').Range} time - Seconds
+ */
+
+/**
+ * Carry a pourover baseline over to a method
+ * @param {{ temp: import('./baselines.js').Range, ratio: import('./baselines.js').Range, grind: string, agitation: { min: string, max: string } }|null} recipe -
+ *   A baseline or combined baseline; null for the method's own medium roast recipe
+ * @param {BrewMethod} method
+ * @returns {MethodRecipe} The recipe's other fields (sources, conflicts) are kept
+ */
+export function applyMethod(recipe, method) {
+  if (!recipe) return { ...method };
+  if (method.id === 'pourover') return { ...recipe, time: method.time };
+
+  const tempShift = method.heated ? Math.round(middle(recipe.temp) - middle(REFERENCE.temp)) : 0;
+  const ratioScale = middle(recipe.ratio) / middle(REFERENCE.ratio);
+  // Small ratios (espresso) need finer steps
+  const ratioStep = method.ratio.max < 5 ? 0.1 : 0.5;
+
+  const grindShift = getGrindIndex(recipe.grind) - getGrindIndex(REFERENCE.grind);
+  const allowed = method.grinds.map(getGrindIndex);
+  const grind = GRIND_LEVELS[clamp(getGrindIndex(method.grind) + grindShift, Math.min(...allowed), Math.max(...allowed))].id;
+
+  const shiftAgitation = (levelId, shift) =>
+    AGITATION_LEVELS[clamp(getAgitationIndex(levelId) + shift, 0, AGITATION_LEVELS.length - 1)].id;
+  const agitationShift = Math.round(
+    (getAgitationIndex(recipe.agitation.min) + getAgitationIndex(recipe.agitation.max)) / 2 -
+    (getAgitationIndex(REFERENCE.agitation.min) + getAgitationIndex(REFERENCE.agitation.max)) / 2
+  );
+
+  return {
+    ...recipe,
+    temp: {
+      min: Math.min(100, method.temp.min + tempShift),
+      max: Math.min(100, method.temp.max + tempShift),
+    },
+    ratio: {
+      min: Number(roundTo(method.ratio.min * ratioScale, ratioStep).toFixed(1)),
+      max: Number(roundTo(method.ratio.max * ratioScale, ratioStep).toFixed(1)),
+    },
+    grind,
+    agitation: method.agitation && {
+      min: shiftAgitation(method.agitation.min, agitationShift),
+      max: shiftAgitation(method.agitation.max, agitationShift),
+    },
+    time: method.time,
+  };
+}
+
+/**
+ * @param {import('./baselines.js').Range} time - Seconds
+ * @returns {string} "25–32 s", "2:30–3:30" or "12–18 h"
+ */
+export function formatBrewTime(time) {
+  const format = (seconds, unit) => {
+    const range = seconds.min === seconds.max ? `${seconds.min}` : `${seconds.min}–${seconds.max}`;
+    return unit ? `${range} ${unit}` : range;
+  };
+  if (time.max < 120) return format(time, 's');
+  if (time.min >= 3600) return format({ min: time.min / 3600, max: time.max / 3600 }, 'h');
+  return format({ min: formatDuration(time.min), max: formatDuration(time.max) });
+}
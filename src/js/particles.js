@@ -1,6 +1,7 @@
 /**
  * Floating 3D Coffee Beans
  * Procedural geometry with cel-shaded look + CMYK post-processing halo
+ * All beans share one InstancedMesh (one draw call), with per-instance roast colours
  */
 import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
@@ -11,7 +12,11 @@ import gsap from 'gsap';
 import {
   BEAN_CONFIG,
   GEOMETRY_TYPES,
+  KIDNEY_GEOMETRY_TYPES,
   createBeanGeometry,
+  getGeometryParams,
+  getCreaseWidth,
+  interpolateRoast,
   createBeanShaderUniforms,
   BeanShaderVertexShader,
   BeanShaderFragmentShader,
@@ -19,12 +24,12 @@ import {
   CMYKShaderVertexShader,
   CMYKShaderFragmentShader
 } from './bean-model.js';
+import { EXPORT_FORMATS, exportBean } from './bean-export.js';
 import {
   ROAST_LEVELS,
   getColoredRoastLevels,
   VISUAL_PRESETS,
   LANDING_PAGE_CONFIG,
-  GEOMETRY_PARAMS,
   GEOMETRY_TYPES as CONST_GEOMETRY_TYPES
 } from './consts.js';
 
@@ -42,6 +47,10 @@ const CONFIG = {
   wireframe: false,       // Show wireframe mesh
   geometryType: GEOMETRY_TYPES.SUPERELLIPSE,  // Bean geometry style
   paused: false,
+  // Roast progression (green → dark, for single-bean mode)
+  roastMode: false,
+  roastPlaying: false,
+  roastProgress: 0,
   // Import all bean shape/style settings from shared config
   ...BEAN_CONFIG,
   // Import scene settings from LANDING_PAGE_CONFIG
@@ -78,7 +87,8 @@ const BeanShader = {
 // GLOBALS
 // ============================================
 let scene, camera, renderer, composer, cmykPass;
-let beans = [];
+let beans = [];  // Object3D stand-ins (transform + userData), one per instance
+let beanMesh = null;  // The InstancedMesh that draws them
 let beanGeometry = null;
 let beanMaterial = null;
 let gui = null;
@@ -87,6 +97,8 @@ let isTransitioning = false;
 let cmykController = null;  // Reference to update checkbox when mode toggles
 let showUIController = null;  // Reference to disable in single bean mode
 let landingCard = null;  // Reference to .landing-card element
+let roastReadout = null;  // Reference to .roast-readout element
+let colorsBeforeRoast = null;  // GUI colours to put back when roast mode ends
 
 // Drag-to-rotate state
 let isDragging = false;
@@ -139,6 +151,7 @@ function init() {
 
   // Get landing card reference for fade transitions
   landingCard = document.querySelector('.landing-card');
+  roastReadout = document.querySelector('.roast-readout');
 
   // Create geometry and material
   beanGeometry = createBeanGeometry(CONFIG);
@@ -276,6 +289,18 @@ function exportConfig() {
   });
 }
 
+// Download the current bean (shape, roast development and colours) as a 3D file
+function downloadBean(format) {
+  const { filename, mimeType, data } = exportBean(CONFIG, format);
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before freeing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // Sync all uniforms after reset
 function syncUniforms() {
   // Cel shading
@@ -290,11 +315,9 @@ function syncUniforms() {
   beanMaterial.uniforms.specularPower.value = CONFIG.specularPower;
   // Colors
   beanMaterial.uniforms.colorEnabled.value = CONFIG.colorEnabled ? 1.0 : 0.0;
-  beanMaterial.uniforms.baseColor.value.set(CONFIG.baseColor);
-  beanMaterial.uniforms.highlightColor.value.set(CONFIG.highlightColor);
-  beanMaterial.uniforms.creaseColor.value.set(CONFIG.creaseColor);
+  paintBeans();
   // Crease
-  beanMaterial.uniforms.creaseWidth.value = CONFIG.creaseWidth;
+  beanMaterial.uniforms.creaseWidth.value = getCreaseWidth(CONFIG);
   beanMaterial.uniforms.creaseLength.value = CONFIG.creaseLength;
   // Light
   beanMaterial.uniforms.lightDir.value.set(CONFIG.lightX, CONFIG.lightY, CONFIG.lightZ).normalize();
@@ -307,25 +330,9 @@ function syncUniforms() {
   cmykPass.uniforms.multiplyBlend.value = CONFIG.cmykMultiplyBlend ? 1.0 : 0.0;
 }
 
-// Helper to update a uniform on all bean materials (shared + cloned in blend mode)
-function updateAllBeanUniforms(uniformName, value) {
+// Helper to update a bean shader uniform (every bean shares the one material)
+function setBeanUniform(uniformName, value) {
   beanMaterial.uniforms[uniformName].value = value;
-  // Also update cloned materials on individual beans (for blend mode)
-  beans.forEach(bean => {
-    if (bean.material !== beanMaterial && bean.material.uniforms[uniformName]) {
-      bean.material.uniforms[uniformName].value = value;
-    }
-  });
-}
-
-// Helper to set a Color uniform on all bean materials
-function updateAllBeanColorUniform(uniformName, colorValue) {
-  beanMaterial.uniforms[uniformName].value.set(colorValue);
-  beans.forEach(bean => {
-    if (bean.material !== beanMaterial && bean.material.uniforms[uniformName]) {
-      bean.material.uniforms[uniformName].value.set(colorValue);
-    }
-  });
 }
 
 // Helper to create a folder with persistent open/close state
@@ -385,19 +392,76 @@ function applyRoastLevel(level) {
   CONFIG.highlightColor = roast.highlightColor;
   CONFIG.creaseColor = roast.creaseColor;
 
-  // Update shader uniforms
-  beanMaterial.uniforms.baseColor.value.set(roast.baseColor);
-  beanMaterial.uniforms.highlightColor.value.set(roast.highlightColor);
-  beanMaterial.uniforms.creaseColor.value.set(roast.creaseColor);
+  // Repaint the instance colours
+  paintBeans();
+  updateColorControllers();
+}
 
-  // Update color picker displays
-  if (gui) {
-    gui.controllersRecursive().forEach(c => {
-      if (['baseColor', 'highlightColor', 'creaseColor'].includes(c.property)) {
-        c.updateDisplay();
-      }
-    });
+// Update color picker displays
+function updateColorControllers() {
+  if (!gui) return;
+  gui.controllersRecursive().forEach(c => {
+    if (['baseColor', 'highlightColor', 'creaseColor'].includes(c.property)) {
+      c.updateDisplay();
+    }
+  });
+}
+
+// ============================================
+// ROAST PROGRESSION
+// ============================================
+// Move every bean to a point between green (0) and dark (1): colours are
+// interpolated along ROAST_PROGRESSION, the shape follows roastDevelopment
+function applyRoastProgress(progress) {
+  CONFIG.roastProgress = progress;
+  const roast = interpolateRoast(progress);
+  CONFIG.baseColor = roast.baseColor;
+  CONFIG.highlightColor = roast.highlightColor;
+  CONFIG.creaseColor = roast.creaseColor;
+  paintBeans();
+  updateColorControllers();
+
+  // Rebuilding the mesh every frame is wasteful: the shape moves in 1% steps
+  const development = Math.round(progress * 100) / 100;
+  if (development !== CONFIG.roastDevelopment) {
+    CONFIG.roastDevelopment = development;
+    rebuildGeometry();
+    setBeanUniform('creaseWidth', getCreaseWidth(CONFIG));
   }
+
+  updateRoastReadout();
+}
+
+function toggleRoastMode(enabled) {
+  if (enabled) {
+    const { baseColor, highlightColor, creaseColor } = CONFIG;
+    colorsBeforeRoast = { baseColor, highlightColor, creaseColor };
+    applyRoastProgress(CONFIG.roastProgress);
+    return;
+  }
+
+  // Back to the undeveloped shape and the colours from before roast mode
+  CONFIG.roastPlaying = false;
+  CONFIG.roastDevelopment = 0;
+  rebuildGeometry();
+  setBeanUniform('creaseWidth', getCreaseWidth(CONFIG));
+  if (colorsBeforeRoast) {
+    Object.assign(CONFIG, colorsBeforeRoast);
+    colorsBeforeRoast = null;
+    paintBeans();
+    updateColorControllers();
+  }
+  updateRoastReadout();
+}
+
+// Stage readout, only over the single bean
+function updateRoastReadout() {
+  if (!roastReadout) return;
+
+  roastReadout.hidden = !(CONFIG.roastMode && CONFIG.singleBeanMode);
+  const { step } = interpolateRoast(CONFIG.roastProgress);
+  roastReadout.querySelector('.roast-readout-level').textContent = `${step.label} · ${Math.round(CONFIG.roastProgress * 100)}%`;
+  roastReadout.querySelector('.roast-readout-stage').textContent = step.stage;
 }
 
 // Apply a visual preset (uses VISUAL_PRESETS from consts.js)
@@ -407,10 +471,7 @@ function applyPreset(presetName) {
 
   // Apply geometry type and dimensions from GEOMETRY_PARAMS
   CONFIG.geometryType = preset.geometryType;
-  const params = preset.geometryType === GEOMETRY_TYPES.CLASSIC ? GEOMETRY_PARAMS.CLASSIC : GEOMETRY_PARAMS.SUPERELLIPSE;
-  CONFIG.beanScaleX = params.beanScaleX;
-  CONFIG.beanScaleY = params.beanScaleY;
-  CONFIG.beanScaleZ = params.beanScaleZ;
+  applyGeometryDimensions(preset.geometryType);
 
   // Apply shader settings
   CONFIG.toonEnabled = preset.toonEnabled;
@@ -428,19 +489,19 @@ function applyPreset(presetName) {
   if (preset.specularThreshold !== undefined) CONFIG.specularThreshold = preset.specularThreshold;
   if (preset.specularPower !== undefined) CONFIG.specularPower = preset.specularPower;
 
-  // Update uniforms on all beans (important for blend mode)
-  updateAllBeanUniforms('toonEnabled', preset.toonEnabled ? 1.0 : 0.0);
-  updateAllBeanUniforms('rimEnabled', preset.rimEnabled ? 1.0 : 0.0);
-  updateAllBeanUniforms('specularEnabled', preset.specularEnabled ? 1.0 : 0.0);
-  updateAllBeanUniforms('colorEnabled', preset.colorEnabled ? 1.0 : 0.0);
+  // Update shader uniforms
+  setBeanUniform('toonEnabled', preset.toonEnabled ? 1.0 : 0.0);
+  setBeanUniform('rimEnabled', preset.rimEnabled ? 1.0 : 0.0);
+  setBeanUniform('specularEnabled', preset.specularEnabled ? 1.0 : 0.0);
+  setBeanUniform('colorEnabled', preset.colorEnabled ? 1.0 : 0.0);
 
   // Update cel shading parameter uniforms
-  if (preset.toonBands !== undefined) updateAllBeanUniforms('toonBands', preset.toonBands);
-  if (preset.rimIntensity !== undefined) updateAllBeanUniforms('rimIntensity', preset.rimIntensity);
-  if (preset.rimPower !== undefined) updateAllBeanUniforms('rimPower', preset.rimPower);
-  if (preset.specularIntensity !== undefined) updateAllBeanUniforms('specularIntensity', preset.specularIntensity);
-  if (preset.specularThreshold !== undefined) updateAllBeanUniforms('specularThreshold', preset.specularThreshold);
-  if (preset.specularPower !== undefined) updateAllBeanUniforms('specularPower', preset.specularPower);
+  if (preset.toonBands !== undefined) setBeanUniform('toonBands', preset.toonBands);
+  if (preset.rimIntensity !== undefined) setBeanUniform('rimIntensity', preset.rimIntensity);
+  if (preset.rimPower !== undefined) setBeanUniform('rimPower', preset.rimPower);
+  if (preset.specularIntensity !== undefined) setBeanUniform('specularIntensity', preset.specularIntensity);
+  if (preset.specularThreshold !== undefined) setBeanUniform('specularThreshold', preset.specularThreshold);
+  if (preset.specularPower !== undefined) setBeanUniform('specularPower', preset.specularPower);
 
   // Rebuild geometry for new type (also resets beans if blendMode changed)
   if (blendModeChanged) {
@@ -459,19 +520,22 @@ function applyPreset(presetName) {
         c.updateDisplay();
       }
     });
-    // Toggle kidney folder visibility based on geometry type
-    gui.foldersRecursive().forEach(f => {
-      if (f._title === 'Kidney Curve') {
-        if (preset.geometryType === GEOMETRY_TYPES.CLASSIC) {
-          f.hide();
-        } else {
-          f.show();
-        }
-      }
-    });
+    updateShapeFolders();
   }
 }
 
+// Default dimensions of a geometry type (GEOMETRY_PARAMS), e.g. rounder peaberries
+function applyGeometryDimensions(geometryType) {
+  const params = getGeometryParams(geometryType);
+  CONFIG.beanScaleX = params.beanScaleX;
+  CONFIG.beanScaleY = params.beanScaleY;
+  CONFIG.beanScaleZ = params.beanScaleZ;
+}
+
+// Show only the shape folders / controls that apply to the current geometry type
+// (filled in by setupGUI)
+let updateShapeFolders = () => {};
+
 // Toggle single bean mode (wrapper for transition functions)
 function toggleSingleBeanMode(enabled) {
   if (isTransitioning) {
@@ -487,6 +551,7 @@ function toggleSingleBeanMode(enabled) {
   } else {
     transitionToMultiBean();
   }
+  updateRoastReadout();
 }
 
 function setupGUI() {
@@ -530,7 +595,11 @@ function setupGUI() {
   });
   const geometryTypeController = viewFolder.add(CONFIG, 'geometryType', {
     'Classic (ellipsoid)': GEOMETRY_TYPES.CLASSIC,
-    'Superellipse (kidney)': GEOMETRY_TYPES.SUPERELLIPSE
+    'Superellipse (kidney)': GEOMETRY_TYPES.SUPERELLIPSE,
+    'Peaberry': GEOMETRY_TYPES.PEABERRY,
+    'Defect: Broken': GEOMETRY_TYPES.BROKEN,
+    'Defect: Insect Damage': GEOMETRY_TYPES.INSECT_DAMAGED,
+    'Defect: Quaker': GEOMETRY_TYPES.QUAKER
   }).name('🫘 Geometry');
   viewKeys.add('geometryType');
   const presetController = viewFolder.add(CONFIG, 'preset', {
@@ -583,7 +652,7 @@ function setupGUI() {
   const setupFolder = createFolder(gui, '⚙️ Setup');
 
   const spawnSub = createFolder(setupFolder, 'Spawn Area');
-  spawnSub.add(CONFIG, 'beanCount', 10, 300, 1).name('Bean Count').onFinishChange(resetBeans);
+  spawnSub.add(CONFIG, 'beanCount', 10, 3000, 10).name('Bean Count').onFinishChange(resetBeans);
   spawnSub.add(CONFIG, 'spreadX', 5, 25, 1).name('Width').onFinishChange(resetBeans);
   spawnSub.add(CONFIG, 'spreadY', 3, 15, 1).name('Height').onFinishChange(resetBeans);
   spawnSub.add(CONFIG, 'depthMin', -10, 0, 0.5).name('Near').onFinishChange(resetBeans);
@@ -620,27 +689,48 @@ function setupGUI() {
   kidneySub.add(CONFIG, 'endPinch', 0, 0.6, 0.01).name('End Pinch').onFinishChange(rebuildGeometry);
   kidneySub.add(CONFIG, 'endPointiness', 0, 0.5, 0.01).name('Pointiness').onFinishChange(rebuildGeometry);
   addResetButton(kidneySub, rebuildGeometry);
-  // Hide kidney folder for ellipsoid geometry
-  if (CONFIG.geometryType === GEOMETRY_TYPES.CLASSIC) kidneySub.hide();
+
+  // Peaberry and defect shapes, each control only shown for its geometry type
+  const detailSub = createFolder(beanFolder, 'Peaberry & Defects');
+  const detailControls = [
+    [GEOMETRY_TYPES.PEABERRY, detailSub.add(CONFIG, 'peaberryCurve', 0, 0.4, 0.01).name('Crease Curve')],
+    [GEOMETRY_TYPES.BROKEN, detailSub.add(CONFIG, 'breakLevel', -0.5, 0.8, 0.01).name('Break Position')],
+    [GEOMETRY_TYPES.BROKEN, detailSub.add(CONFIG, 'breakAngle', -1.2, 1.2, 0.05).name('Break Angle')],
+    [GEOMETRY_TYPES.BROKEN, detailSub.add(CONFIG, 'breakRoughness', 0, 0.1, 0.005).name('Jaggedness')],
+    [GEOMETRY_TYPES.INSECT_DAMAGED, detailSub.add(CONFIG, 'holeCount', 1, 8, 1).name('Holes')],
+    [GEOMETRY_TYPES.INSECT_DAMAGED, detailSub.add(CONFIG, 'holeRadius', 0.03, 0.15, 0.005).name('Hole Size')],
+    [GEOMETRY_TYPES.INSECT_DAMAGED, detailSub.add(CONFIG, 'holeDepth', 0.05, 0.6, 0.01).name('Hole Depth')],
+    [GEOMETRY_TYPES.INSECT_DAMAGED, detailSub.add(CONFIG, 'holeSeed', 1, 99, 1).name('Hole Pattern')],
+    [GEOMETRY_TYPES.QUAKER, detailSub.add(CONFIG, 'wrinkleAmount', 0, 0.15, 0.005).name('Shrivel')],
+    [GEOMETRY_TYPES.QUAKER, detailSub.add(CONFIG, 'wrinkleCount', 2, 10, 1).name('Wrinkles')]
+  ];
+  detailControls.forEach(([, controller]) => controller.onFinishChange(rebuildGeometry));
+  addResetButton(detailSub, rebuildGeometry);
+
+  updateShapeFolders = () => {
+    kidneySub.show(KIDNEY_GEOMETRY_TYPES.includes(CONFIG.geometryType));
+    detailSub.show(detailControls.some(([type]) => type === CONFIG.geometryType));
+    detailControls.forEach(([type, controller]) => controller.show(type === CONFIG.geometryType));
+  };
+  updateShapeFolders();
+
   geometryTypeController.onChange((v) => {
+    applyGeometryDimensions(v);
+    shapeSub.controllers.forEach(c => c.updateDisplay());
     rebuildGeometry();
-    if (v === GEOMETRY_TYPES.CLASSIC) {
-      kidneySub.hide();
-    } else {
-      kidneySub.show();
-    }
+    updateShapeFolders();
   });
 
   const creaseSub = createFolder(beanFolder, 'Crease');
   creaseSub.add(CONFIG, 'creaseWidth', 0.01, 0.1, 0.001).name('Width').onChange(v => {
-    updateAllBeanUniforms('creaseWidth', v);
+    setBeanUniform('creaseWidth', getCreaseWidth(CONFIG));
   });
   creaseSub.add(CONFIG, 'creaseLength', 0.3, 0.95, 0.01).name('Length').onChange(v => {
-    updateAllBeanUniforms('creaseLength', v);
+    setBeanUniform('creaseLength', v);
   });
   addResetButton(creaseSub, () => {
-    updateAllBeanUniforms('creaseWidth', CONFIG.creaseWidth);
-    updateAllBeanUniforms('creaseLength', CONFIG.creaseLength);
+    setBeanUniform('creaseWidth', getCreaseWidth(CONFIG));
+    setBeanUniform('creaseLength', CONFIG.creaseLength);
   });
 
   // ============================================
@@ -651,75 +741,62 @@ function setupGUI() {
   // Colors subfolder
   const colorSub = createFolder(styleFolder, 'Colors');
   colorSub.add(CONFIG, 'colorEnabled').name('Enable').onChange(v => {
-    updateAllBeanUniforms('colorEnabled', v ? 1.0 : 0.0);
-  });
-  colorSub.addColor(CONFIG, 'baseColor').name('Bean').onChange(v => {
-    beanMaterial.uniforms.baseColor.value.set(v);
-  });
-  colorSub.addColor(CONFIG, 'highlightColor').name('Highlight').onChange(v => {
-    beanMaterial.uniforms.highlightColor.value.set(v);
-  });
-  colorSub.addColor(CONFIG, 'creaseColor').name('Crease').onChange(v => {
-    beanMaterial.uniforms.creaseColor.value.set(v);
+    setBeanUniform('colorEnabled', v ? 1.0 : 0.0);
   });
+  // Blend beans keep their own roast colours, the pickers paint the rest
+  colorSub.addColor(CONFIG, 'baseColor').name('Bean').onChange(paintBeans);
+  colorSub.addColor(CONFIG, 'highlightColor').name('Highlight').onChange(paintBeans);
+  colorSub.addColor(CONFIG, 'creaseColor').name('Crease').onChange(paintBeans);
   addResetButton(colorSub, () => {
-    updateAllBeanUniforms('colorEnabled', CONFIG.colorEnabled ? 1.0 : 0.0);
-    beanMaterial.uniforms.baseColor.value.set(CONFIG.baseColor);
-    beanMaterial.uniforms.highlightColor.value.set(CONFIG.highlightColor);
-    beanMaterial.uniforms.creaseColor.value.set(CONFIG.creaseColor);
+    setBeanUniform('colorEnabled', CONFIG.colorEnabled ? 1.0 : 0.0);
+    paintBeans();
   });
 
   // Cel Shading subfolder
   const celSub = createFolder(styleFolder, 'Cel Shading');
   celSub.add(CONFIG, 'toonEnabled').name('☀ Toon').onChange(v => {
-    updateAllBeanUniforms('toonEnabled', v ? 1.0 : 0.0);
+    setBeanUniform('toonEnabled', v ? 1.0 : 0.0);
   });
   celSub.add(CONFIG, 'toonBands', 1, 6, 1).name('Bands').onChange(v => {
-    updateAllBeanUniforms('toonBands', v);
+    setBeanUniform('toonBands', v);
   });
   celSub.add(CONFIG, 'rimEnabled').name('✨ Rim').onChange(v => {
-    updateAllBeanUniforms('rimEnabled', v ? 1.0 : 0.0);
+    setBeanUniform('rimEnabled', v ? 1.0 : 0.0);
   });
   celSub.add(CONFIG, 'rimIntensity', 0, 1.5, 0.05).name('Rim Intensity').onChange(v => {
-    updateAllBeanUniforms('rimIntensity', v);
+    setBeanUniform('rimIntensity', v);
   });
   celSub.add(CONFIG, 'rimPower', 0.5, 5, 0.1).name('Rim Sharpness').onChange(v => {
-    updateAllBeanUniforms('rimPower', v);
+    setBeanUniform('rimPower', v);
   });
   celSub.add(CONFIG, 'specularEnabled').name('💫 Specular').onChange(v => {
-    updateAllBeanUniforms('specularEnabled', v ? 1.0 : 0.0);
+    setBeanUniform('specularEnabled', v ? 1.0 : 0.0);
   });
   celSub.add(CONFIG, 'specularIntensity', 0, 1.5, 0.05).name('Spec Intensity').onChange(v => {
-    updateAllBeanUniforms('specularIntensity', v);
+    setBeanUniform('specularIntensity', v);
   });
   celSub.add(CONFIG, 'specularThreshold', 0.1, 0.9, 0.05).name('Spec Threshold').onChange(v => {
-    updateAllBeanUniforms('specularThreshold', v);
+    setBeanUniform('specularThreshold', v);
   });
   celSub.add(CONFIG, 'specularPower', 8, 128, 4).name('Spec Sharpness').onChange(v => {
-    updateAllBeanUniforms('specularPower', v);
+    setBeanUniform('specularPower', v);
   });
   addResetButton(celSub, () => {
-    updateAllBeanUniforms('toonEnabled', CONFIG.toonEnabled ? 1.0 : 0.0);
-    updateAllBeanUniforms('toonBands', CONFIG.toonBands);
-    updateAllBeanUniforms('rimEnabled', CONFIG.rimEnabled ? 1.0 : 0.0);
-    updateAllBeanUniforms('rimIntensity', CONFIG.rimIntensity);
-    updateAllBeanUniforms('rimPower', CONFIG.rimPower);
-    updateAllBeanUniforms('specularEnabled', CONFIG.specularEnabled ? 1.0 : 0.0);
-    updateAllBeanUniforms('specularIntensity', CONFIG.specularIntensity);
-    updateAllBeanUniforms('specularThreshold', CONFIG.specularThreshold);
-    updateAllBeanUniforms('specularPower', CONFIG.specularPower);
+    setBeanUniform('toonEnabled', CONFIG.toonEnabled ? 1.0 : 0.0);
+    setBeanUniform('toonBands', CONFIG.toonBands);
+    setBeanUniform('rimEnabled', CONFIG.rimEnabled ? 1.0 : 0.0);
+    setBeanUniform('rimIntensity', CONFIG.rimIntensity);
+    setBeanUniform('rimPower', CONFIG.rimPower);
+    setBeanUniform('specularEnabled', CONFIG.specularEnabled ? 1.0 : 0.0);
+    setBeanUniform('specularIntensity', CONFIG.specularIntensity);
+    setBeanUniform('specularThreshold', CONFIG.specularThreshold);
+    setBeanUniform('specularPower', CONFIG.specularPower);
   });
 
   // Light Direction subfolder
   const lightSub = createFolder(styleFolder, 'Light Direction');
   const updateLightDir = () => {
-    const lightDir = new THREE.Vector3(CONFIG.lightX, CONFIG.lightY, CONFIG.lightZ).normalize();
-    beanMaterial.uniforms.lightDir.value.copy(lightDir);
-    beans.forEach(bean => {
-      if (bean.material !== beanMaterial && bean.material.uniforms.lightDir) {
-        bean.material.uniforms.lightDir.value.copy(lightDir);
-      }
-    });
+    beanMaterial.uniforms.lightDir.value.set(CONFIG.lightX, CONFIG.lightY, CONFIG.lightZ).normalize();
   };
   lightSub.add(CONFIG, 'lightX', -1, 1, 0.1).name('X').onChange(updateLightDir);
   lightSub.add(CONFIG, 'lightY', -1, 1, 0.1).name('Y').onChange(updateLightDir);
@@ -759,35 +836,77 @@ function setupGUI() {
     cmykPass.uniforms.multiplyBlend.value = CONFIG.cmykMultiplyBlend ? 1.0 : 0.0;
   });
 
+  // ============================================
+  // 🔥 ROAST - Green to dark progression
+  // ============================================
+  const roastFolder = createFolder(gui, '🔥 Roast');
+  ['roastMode', 'roastPlaying', 'roastProgress', 'roastDevelopment'].forEach(key => viewKeys.add(key));
+  roastFolder.add(CONFIG, 'roastMode').name('Enable').onChange(v => {
+    toggleRoastMode(v);
+    roastControls.forEach(c => c.show(v));
+  });
+  const roastControls = [
+    roastFolder.add(CONFIG, 'roastPlaying').name('▶ Play').listen().onChange(v => {
+      // Playing again from the end starts a new roast
+      if (v && CONFIG.roastProgress >= 1) applyRoastProgress(0);
+    }),
+    roastFolder.add(CONFIG, 'roastProgress', 0, 1, 0.001).name('Progress').listen().onChange(applyRoastProgress),
+    roastFolder.add(CONFIG, 'roastDuration', 4, 60, 1).name('Duration (s)'),
+    roastFolder.add(CONFIG, 'roastExpansion', 0, 0.5, 0.01).name('Expansion').onFinishChange(rebuildGeometry),
+    roastFolder.add(CONFIG, 'roastCreaseOpening', 0, 3, 0.05).name('Crease Opening').onFinishChange(() => {
+      rebuildGeometry();
+      setBeanUniform('creaseWidth', getCreaseWidth(CONFIG));
+    })
+  ];
+  roastControls.forEach(c => c.show(CONFIG.roastMode));
+
   // ============================================
   // 🎬 MOTION - Runtime controls
   // ============================================
   const motionFolder = createFolder(gui, '🎬 Motion');
   motionFolder.add(CONFIG, 'driftSpeed', 0, 1, 0.01).name('Drift').onFinishChange(updateVelocities);
   motionFolder.add(CONFIG, 'rotationSpeed', 0, 5, 0.1).name('Spin').onFinishChange(updateVelocities);
+
+  const collisionSub = createFolder(motionFolder, 'Collisions');
+  collisionSub.add(CONFIG, 'collisionEnabled').name('Enable');
+  collisionSub.add(CONFIG, 'collisionDamping', 0, 1, 0.05).name('Bounciness');
+  collisionSub.add(CONFIG, 'collisionRadiusMultiplier', 0.1, 1.5, 0.05).name('Radius');
+  addResetButton(collisionSub);
+
   addResetButton(motionFolder, updateVelocities);
 
+  // ============================================
+  // 💾 EXPORT - Current bean as a 3D file
+  // ============================================
+  const exportFolder = createFolder(gui, '💾 Export');
+  const exportState = { format: 'gltf' };
+  exportFolder.add(exportState, 'format', Object.fromEntries(
+    Object.entries(EXPORT_FORMATS).map(([id, format]) => [format.name, id])
+  )).name('Format');
+  exportFolder.add({ download: () => downloadBean(exportState.format) }, 'download').name('⬇ Download');
+
   // Top-level playback controls (always visible)
   gui.add(CONFIG, 'paused').name('⏸ Pause');
   gui.add({ reset: resetBeans }, 'reset').name('🔄 Reset & Replay');
 }
 
 function resetBeans() {
-  beans.forEach(bean => {
-    gsap.killTweensOf(bean.scale);
-    scene.remove(bean);
-  });
+  beans.forEach(bean => gsap.killTweensOf(bean.scale));
+  scene.remove(beanMesh);
+  beanMesh.dispose();
   beans = [];
+  // Fresh geometry, so the old instance colour buffers are freed with it
+  beanGeometry.dispose();
+  beanGeometry = createBeanGeometry(CONFIG);
   createBeans();
 }
 
 function rebuildGeometry() {
-  // Rebuild geometry with new shape params, update all beans
+  // Rebuild geometry with new shape params, then re-attach the instance colours
   beanGeometry.dispose();
   beanGeometry = createBeanGeometry(CONFIG);
-  beans.forEach(bean => {
-    bean.geometry = beanGeometry;
-  });
+  beanMesh.geometry = beanGeometry;
+  paintBeans();
 }
 
 function updateVelocities() {
@@ -1016,23 +1135,20 @@ function transitionToMultiBean() {
 // ============================================
 // CREATE BEANS
 // ============================================
+// Instance attribute → CONFIG / roast level colour key
+const INSTANCE_COLORS = {
+  aBaseColor: 'baseColor',
+  aHighlightColor: 'highlightColor',
+  aCreaseColor: 'creaseColor'
+};
+
 function createBeans() {
   // Get colored roast levels for Blend mode
   const coloredRoasts = CONFIG.blendMode ? getColoredRoastLevels() : null;
 
   for (let i = 0; i < CONFIG.beanCount; i++) {
-    // In blendMode, clone material with random roast color
-    let material = beanMaterial;
-    if (CONFIG.blendMode && coloredRoasts.length > 0) {
-      const roast = coloredRoasts[Math.floor(Math.random() * coloredRoasts.length)];
-      material = beanMaterial.clone();
-      material.uniforms = THREE.UniformsUtils.clone(beanMaterial.uniforms);
-      material.uniforms.baseColor.value = new THREE.Color(roast.baseColor);
-      material.uniforms.highlightColor.value = new THREE.Color(roast.highlightColor);
-      material.uniforms.creaseColor.value = new THREE.Color(roast.creaseColor);
-    }
-
-    const bean = new THREE.Mesh(beanGeometry, material);
+    // Only the transform and motion live here, the mesh draws them all
+    const bean = new THREE.Object3D();
 
     bean.position.set(
       (Math.random() - 0.5) * CONFIG.spreadX * 2,
@@ -1051,6 +1167,10 @@ function createBeans() {
 
     bean.userData = {
       targetScale,
+      // In blendMode, each bean gets a random roast; otherwise it follows CONFIG colours
+      roast: coloredRoasts?.length > 0
+        ? coloredRoasts[Math.floor(Math.random() * coloredRoasts.length)]
+        : null,
       vx: (Math.random() - 0.5) * CONFIG.driftSpeed * 0.015,
       vy: (Math.random() - 0.5) * CONFIG.driftSpeed * 0.015,
       vrx: (Math.random() - 0.5) * CONFIG.rotationSpeed * 0.008,
@@ -1058,13 +1178,51 @@ function createBeans() {
       vrz: (Math.random() - 0.5) * CONFIG.rotationSpeed * 0.008
     };
 
-    scene.add(bean);
     beans.push(bean);
   }
 
+  beanMesh = new THREE.InstancedMesh(beanGeometry, beanMaterial, beans.length);
+  beanMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  // Instances drift and wrap, so the bounds computed at creation go stale
+  beanMesh.frustumCulled = false;
+  paintBeans();
+  syncInstances();
+  scene.add(beanMesh);
+
   revealBeansStaggered();
 }
 
+// Write each bean's colours into the instance attributes on the current geometry
+function paintBeans() {
+  if (!beanMesh) return;
+
+  const color = new THREE.Color();
+  for (const [attributeName, colorKey] of Object.entries(INSTANCE_COLORS)) {
+    let attribute = beanGeometry.getAttribute(attributeName);
+    if (!attribute || attribute.count !== beans.length) {
+      attribute = new THREE.InstancedBufferAttribute(new Float32Array(beans.length * 3), 3);
+      beanGeometry.setAttribute(attributeName, attribute);
+    }
+
+    // Roast mode takes over every bean, blend roasts included
+    beans.forEach((bean, i) => {
+      const palette = (!CONFIG.roastMode && bean.userData.roast) || CONFIG;
+      color.set(palette[colorKey]);
+      attribute.setXYZ(i, color.r, color.g, color.b);
+    });
+    attribute.needsUpdate = true;
+  }
+}
+
+// Copy bean transforms (drift, tweens, drag) into the instance matrices
+function syncInstances() {
+  beans.forEach((bean, i) => {
+    bean.updateMatrix();
+    beanMesh.setMatrixAt(i, bean.matrix);
+  });
+  beanMesh.instanceMatrix.needsUpdate = true;
+}
+
 // ============================================
 // STAGGERED REVEAL
 // ============================================
@@ -1086,6 +1244,109 @@ function revealBeansStaggered() {
   });
 }
 
+// ============================================
+// COLLISIONS
+// Broad phase: beans are bucketed into a 2D spatial hash (x/y, the drift
+// plane) with cells as wide as the largest bean, so each bean only checks
+// its own and the 8 neighbouring cells. Narrow phase: bounding spheres
+// sized by the bean scale, longest bean axis and collisionRadiusMultiplier
+// ============================================
+const collisionCells = new Map();
+let collisionCellSize = 0;
+let collisionRadii = new Float32Array(0);
+
+// Any two integers map to one number key; rare clashes only cost extra checks
+function cellKey(cx, cy) {
+  return (cx * 73856093) ^ (cy * 19349663);
+}
+
+function resolveCollisions() {
+  if (collisionRadii.length < beans.length) collisionRadii = new Float32Array(beans.length);
+
+  // Roast mode swells the beans (developBean)
+  const growth = 1 + CONFIG.roastExpansion * (CONFIG.roastDevelopment || 0);
+  const beanRadius = Math.max(CONFIG.beanScaleX, CONFIG.beanScaleY, CONFIG.beanScaleZ) * growth * CONFIG.collisionRadiusMultiplier;
+  let maxRadius = 0;
+  beans.forEach((bean, i) => {
+    collisionRadii[i] = bean.scale.x * beanRadius;
+    maxRadius = Math.max(maxRadius, collisionRadii[i]);
+  });
+  if (maxRadius <= 0) return;
+
+  // Cells are reused between frames, until the size changes (e.g. during the reveal)
+  const cellSize = maxRadius * 2;
+  if (cellSize !== collisionCellSize) {
+    collisionCells.clear();
+    collisionCellSize = cellSize;
+  }
+  collisionCells.forEach(cell => { cell.length = 0; });
+  beans.forEach((bean, i) => {
+    if (collisionRadii[i] <= 0) return;
+    const key = cellKey(Math.floor(bean.position.x / cellSize), Math.floor(bean.position.y / cellSize));
+    let cell = collisionCells.get(key);
+    if (!cell) {
+      cell = [];
+      collisionCells.set(key, cell);
+    }
+    cell.push(i);
+  });
+
+  beans.forEach((bean, i) => {
+    if (collisionRadii[i] <= 0) return;
+    const cx = Math.floor(bean.position.x / cellSize);
+    const cy = Math.floor(bean.position.y / cellSize);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const cell = collisionCells.get(cellKey(cx + dx, cy + dy));
+        if (!cell) continue;
+        // Each pair once: only look at beans with a higher index
+        cell.forEach(j => {
+          if (j > i) collide(bean, beans[j], collisionRadii[i], collisionRadii[j]);
+        });
+      }
+    }
+  });
+}
+
+function collide(a, b, radiusA, radiusB) {
+  const nx = b.position.x - a.position.x;
+  const ny = b.position.y - a.position.y;
+  const nz = b.position.z - a.position.z;
+  const minDist = radiusA + radiusB;
+  const planarSq = nx * nx + ny * ny;
+  if (planarSq + nz * nz >= minDist * minDist || planarSq === 0) return;
+
+  // Beans only drift in x/y, so they're pushed apart in that plane and keep
+  // their depth: far enough that the spheres just touch again
+  const planarDist = Math.sqrt(planarSq);
+  const ux = nx / planarDist;
+  const uy = ny / planarDist;
+
+  // Mass follows volume, so big beans shove small ones
+  const massA = radiusA * radiusA * radiusA;
+  const massB = radiusB * radiusB * radiusB;
+  const shareA = massB / (massA + massB);
+  const shareB = massA / (massA + massB);
+
+  // Separate the overlap, heavier bean moving less
+  const overlap = Math.sqrt(minDist * minDist - nz * nz) - planarDist;
+  a.position.x -= ux * overlap * shareA;
+  a.position.y -= uy * overlap * shareA;
+  b.position.x += ux * overlap * shareB;
+  b.position.y += uy * overlap * shareB;
+
+  const closing = (b.userData.vx - a.userData.vx) * ux + (b.userData.vy - a.userData.vy) * uy;
+  if (closing >= 0) return;  // Already moving apart
+
+  // collisionDamping is the restitution coefficient: 1 bounces back at full speed, 0 just stops
+  const impulse = -(1 + CONFIG.collisionDamping) * closing;
+  a.userData.vx -= impulse * shareA * ux;
+  a.userData.vy -= impulse * shareA * uy;
+  b.userData.vx += impulse * shareB * ux;
+  b.userData.vy += impulse * shareB * uy;
+}
+
 // ============================================
 // ANIMATION LOOP
 // ============================================
@@ -1095,6 +1356,12 @@ function animate() {
   // Update CMYK time for animated glow
   cmykPass.uniforms.time.value += 0.016; // ~60fps delta
 
+  if (CONFIG.roastMode && CONFIG.roastPlaying && !CONFIG.paused) {
+    const progress = Math.min(1, CONFIG.roastProgress + 0.016 / CONFIG.roastDuration);
+    if (progress >= 1) CONFIG.roastPlaying = false;
+    applyRoastProgress(progress);
+  }
+
   // Animate beans only in multi-bean mode and not paused
   if (!CONFIG.singleBeanMode && !CONFIG.paused) {
     beans.forEach(bean => {
@@ -1117,8 +1384,11 @@ function animate() {
         if (bean.position.y < -boundY) bean.position.y = boundY;
       }
     });
+
+    if (CONFIG.collisionEnabled) resolveCollisions();
   }
 
+  syncInstances();
   composer.render();
 }
 
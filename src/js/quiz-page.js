@@ -0,0 +1,138 @@
+/**
+ * Quiz Page
+ * Flashcard drill over the vocabulary with spaced repetition
+ * and a per-category progress summary
+ */
+import {
+  pickNextTerm,
+  createQuestion,
+  recordAnswer,
+  isPractice,
+  resetProgress,
+  getProgressSummary
+} from './quiz.js';
+import { getValue } from './vocabulary.js';
+
+const quizCard = document.getElementById('quiz-card');
+const summary = document.getElementById('quiz-summary');
+
+// Failed terms come back after this many other questions in the same session
+const RELEARN_GAP = 3;
+
+let question = null;
+let answered = 0;
+// { valueId, at } - re-ask valueId once `answered` reaches `at`
+let relearn = [];
+// The current question is a relearn drill or a term that isn't due yet,
+// answering it doesn't reschedule the term
+let practice = false;
+
+// ============================================
+// RENDERING
+// ============================================
+function renderQuestion() {
+  const options = question.options.map((option, index) => `
+    <button type="button" class="quiz-option" data-option="${option.id}">
+      <span class="quiz-option-key">${index + 1}</span>
+      <span class="quiz-option-label">${option.label}</span>
+    </button>`).join('');
+
+  quizCard.innerHTML = `
+    <div class="quiz-ask">
+      ${question.ask}
+      ${practice ? `<span class="quiz-practice" title="Answers won't change when this term comes up next">Practice</span>` : ''}
+    </div>
+    <div class="quiz-prompt">${question.prompt}</div>
+    <div class="quiz-options">${options}</div>
+    <div class="quiz-feedback" aria-live="polite"></div>`;
+}
+
+function renderFeedback(correct) {
+  const { category, value } = getValue(question.valueId);
+
+  quizCard.querySelectorAll('.quiz-option').forEach(button => {
+    button.disabled = true;
+    if (button.dataset.option === question.answer) button.classList.add('correct');
+  });
+
+  quizCard.querySelector('.quiz-feedback').innerHTML = `
+    <span class="quiz-result ${correct ? 'correct' : 'wrong'}">
+      <i class="fa-solid ${correct ? 'fa-check' : 'fa-xmark'}"></i>
+      ${correct ? 'Correct' : `It was ${category.name}: ${value.label}`}
+    </span>
+    <a class="quiz-learn" href="./language.html#${category.id}/${value.id}">Read about it</a>
+    <button type="button" class="btn primary quiz-next">Next <i class="fa-solid fa-arrow-right"></i></button>`;
+  quizCard.querySelector('.quiz-next').focus();
+}
+
+function renderSummary() {
+  const rows = getProgressSummary().map(entry => {
+    const accuracy = entry.accuracy === null ? '—' : `${Math.round(entry.accuracy * 100)}%`;
+    return `
+      <div class="quiz-progress-row" data-color="${entry.category.color}">
+        <div class="quiz-progress-label"><i class="${entry.category.icon}"></i> ${entry.category.name}</div>
+        <div class="quiz-progress-bar" title="${entry.mastered} learned, ${entry.seen} seen of ${entry.total}">
+          <span class="seen" style="width: ${entry.seen / entry.total * 100}%"></span>
+          <span class="mastered" style="width: ${entry.mastered / entry.total * 100}%"></span>
+        </div>
+        <div class="quiz-progress-stats">
+          ${entry.mastered}/${entry.total} learned · ${entry.due} due · ${accuracy}
+        </div>
+      </div>`;
+  }).join('');
+
+  summary.innerHTML = rows;
+}
+
+// ============================================
+// FLOW
+// ============================================
+function nextQuestion() {
+  const relearnIndex = relearn.findIndex(entry => entry.at <= answered);
+  const valueId = relearnIndex >= 0
+    ? relearn.splice(relearnIndex, 1)[0].valueId
+    : pickNextTerm(question ? [question.valueId] : []);
+
+  practice = relearnIndex >= 0 || isPractice(valueId);
+  question = createQuestion(valueId);
+  renderQuestion();
+}
+
+function answer(optionId) {
+  const correct = optionId === question.answer;
+  if (!practice) recordAnswer(question.valueId, correct);
+  answered++;
+  if (!correct) relearn.push({ valueId: question.valueId, at: answered + RELEARN_GAP });
+
+  const chosen = quizCard.querySelector(`.quiz-option[data-option="${optionId}"]`);
+  if (!correct) chosen.classList.add('wrong');
+  renderFeedback(correct);
+  renderSummary();
+}
+
+quizCard.addEventListener('click', (e) => {
+  const option = e.target.closest('.quiz-option');
+  if (option && !option.disabled) answer(option.dataset.option);
+  if (e.target.closest('.quiz-next')) nextQuestion();
+});
+
+// Number keys pick an option
+document.addEventListener('keydown', (e) => {
+  if (e.metaKey || e.ctrlKey || e.altKey) return;
+  const option = quizCard.querySelectorAll('.quiz-option')[Number(e.key) - 1];
+  if (option && !option.disabled) answer(option.dataset.option);
+});
+
+document.querySelector('.quiz-reset').addEventListener('click', () => {
+  if (!confirm('Reset all quiz progress?')) return;
+  resetProgress();
+  relearn = [];
+  renderSummary();
+  nextQuestion();
+});
+
+// ============================================
+// INIT
+// ============================================
+nextQuestion();
+renderSummary();
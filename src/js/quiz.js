@@ -0,0 +1,219 @@
+/**
+ * Vocabulary Quiz
+ * Multiple-choice questions built from the spectrum items, one review card
+ * per vocabulary value, progress kept in localStorage
+ */
+import { VOCABULARY, getCategoryValues, getValue } from './vocabulary.js';
+import { createCard, reviewCard, isDue, isMastered } from './spaced-repetition.js';
+
+const STORAGE_KEY = 'brewlingo-quiz';
+const OPTION_COUNT = 4;
+
+// Grades given to a multiple-choice answer
+const GRADE_CORRECT = 4;
+const GRADE_WRONG = 1;
+
+// ============================================
+// PROGRESS STORAGE
+// ============================================
+
+/** @returns {Object<string, import('./spaced-repetition.js').ReviewCard>} Value id → card */
+export function loadProgress() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveProgress(progress) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+}
+
+export function resetProgress() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Whether a term has been reviewed and isn't due yet. Asking it is practice:
+ * reviewing it again would grow its interval with no spacing
+ * @param {string} valueId
+ * @returns {boolean}
+ */
+export function isPractice(valueId) {
+  const card = loadProgress()[valueId];
+  return Boolean(card) && !isDue(card);
+}
+
+/**
+ * Record an answer and reschedule its term
+ * Practice answers (see isPractice) leave the schedule as it is
+ * @param {string} valueId
+ * @param {boolean} correct
+ * @returns {import('./spaced-repetition.js').ReviewCard}
+ */
+export function recordAnswer(valueId, correct) {
+  const progress = loadProgress();
+  if (progress[valueId] && !isDue(progress[valueId])) return progress[valueId];
+
+  progress[valueId] = reviewCard(progress[valueId] || createCard(), correct ? GRADE_CORRECT : GRADE_WRONG);
+  saveProgress(progress);
+  return progress[valueId];
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+const allValueIds = () => VOCABULARY.flatMap(category => getCategoryValues(category).map(value => value.id));
+
+/**
+ * Pick the next term to quiz
+ * Overdue terms first (most overdue first), then unseen terms in vocabulary
+ * order, then whichever term is due soonest, as practice
+ * @param {string[]} [exclude] - Value ids to skip, e.g. the one just asked
+ * @returns {string} Value id
+ */
+export function pickNextTerm(exclude = []) {
+  const progress = loadProgress();
+  const candidates = allValueIds().filter(id => !exclude.includes(id));
+  const byDue = (a, b) => progress[a].due - progress[b].due;
+
+  const due = candidates.filter(id => progress[id] && isDue(progress[id])).sort(byDue);
+  if (due.length > 0) return due[0];
+
+  const unseen = candidates.find(id => !progress[id]);
+  if (unseen) return unseen;
+
+  return candidates.sort(byDue)[0];
+}
+
+// ============================================
+// QUESTIONS
+// ============================================
+
+/**
+ * @typedef {Object} QuizQuestion
+ * @property {string} valueId - The term being reviewed
+ * @property {string} type - QUESTION_TYPES key
+ * @property {string} ask - e.g. "Which value is this?"
+ * @property {string} prompt - HTML
+ * @property {{ id: string, label: string }[]} options - Shuffled, label is HTML
+ * @property {string} answer - Id of the correct option
+ */
+
+const stripTags = html => html.replace(/<[^>]+>/g, '');
+const valueName = (category, value) => `${category.name}: ${value.label}`;
+const causesText = value => `Possible causes: ${value.causes.join(', ')}.`;
+
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Wrong options for a value question: same-category values first (harder),
+ * topped up from other categories. `isAmbiguous` drops values that would
+ * also be a right answer
+ */
+function valueDistractors(category, value, isAmbiguous) {
+  const others = VOCABULARY.flatMap(c => getCategoryValues(c).map(v => ({ category: c, value: v })))
+    .filter(entry => entry.value !== value && !isAmbiguous(entry.value));
+  const sameCategory = shuffle(others.filter(entry => entry.category === category));
+  const otherCategories = shuffle(others.filter(entry => entry.category !== category));
+  return [...sameCategory, ...otherCategories].slice(0, OPTION_COUNT - 1);
+}
+
+const QUESTION_TYPES = {
+  // Description → which value
+  description: (category, value) => ({
+    ask: 'Which value does this describe?',
+    prompt: value.description,
+    options: [{ category, value }, ...valueDistractors(category, value, v => v.description === value.description)]
+      .map(entry => ({ id: entry.value.id, label: valueName(entry.category, entry.value) }))
+  }),
+
+  // Causes → which value
+  causes: (category, value) => ({
+    ask: 'Which value do these causes point to?',
+    prompt: causesText(value),
+    options: [{ category, value }, ...valueDistractors(category, value, v => v.causes.some(c => value.causes.includes(c)))]
+      .map(entry => ({ id: entry.value.id, label: valueName(entry.category, entry.value) }))
+  }),
+
+  // Description → which category
+  category: (category, value) => ({
+    ask: 'Which category does this belong to?',
+    prompt: value.description,
+    options: [category, ...shuffle(VOCABULARY.filter(c => c !== category)).slice(0, OPTION_COUNT - 1)]
+      .map(c => ({ id: c.id, label: c.name })),
+    answer: category.id
+  }),
+
+  // Value → which description (the reverse)
+  reverse: (category, value) => ({
+    ask: 'Which description fits?',
+    prompt: `<strong>${valueName(category, value)}</strong>`,
+    options: [{ category, value }, ...valueDistractors(category, value, v => stripTags(v.description) === stripTags(value.description))]
+      .map(entry => ({ id: entry.value.id, label: entry.value.description }))
+  })
+};
+
+/**
+ * Build a random question for a term
+ * @param {string} valueId
+ * @returns {QuizQuestion}
+ */
+export function createQuestion(valueId) {
+  const { category, value } = getValue(valueId);
+  const type = shuffle(Object.keys(QUESTION_TYPES))[0];
+  const question = QUESTION_TYPES[type](category, value);
+
+  return {
+    valueId,
+    type,
+    ask: question.ask,
+    prompt: question.prompt,
+    options: shuffle(question.options),
+    answer: question.answer || valueId
+  };
+}
+
+// ============================================
+// SUMMARY
+// ============================================
+
+/**
+ * @typedef {Object} CategoryProgress
+ * @property {import('./vocabulary.js').VocabularyCategory} category
+ * @property {number} total - Terms in the category
+ * @property {number} seen - Terms reviewed at least once
+ * @property {number} mastered - Terms with a long interval
+ * @property {number} due - Seen terms due for review
+ * @property {number} accuracy - Share of correct answers (0–1), null before any review
+ */
+
+/** @returns {CategoryProgress[]} In vocabulary order */
+export function getProgressSummary() {
+  const progress = loadProgress();
+
+  return VOCABULARY.map(category => {
+    const cards = getCategoryValues(category).map(value => progress[value.id]);
+    const seen = cards.filter(Boolean);
+    const reviews = seen.reduce((sum, card) => sum + card.reviews, 0);
+    const lapses = seen.reduce((sum, card) => sum + card.lapses, 0);
+
+    return {
+      category,
+      total: cards.length,
+      seen: seen.length,
+      mastered: seen.filter(isMastered).length,
+      due: seen.filter(card => isDue(card)).length,
+      accuracy: reviews > 0 ? (reviews - lapses) / reviews : null
+    };
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * Radar Chart
+ * SVG spider chart over the ten vocabulary categories. Each category is an
+ * axis and its values sit along it in display order, so a tasting becomes
+ * a polygon; several tastings can be overlaid
+ */
+import { VOCABULARY, getCategoryValues } from './vocabulary.js';
+import { escapeHtml } from './dom.js';
+
+// Series colours, in overlay order
+export const RADAR_COLORS = [
+  'var(--pink)',
+  'var(--blue)',
+  'var(--orange)',
+  'var(--purple)',
+  'var(--green)',
+  'var(--indigo)'
+];
+
+/**
+ * @typedef {Object} RadarSeries
+ * @property {string} label - Used for the polygon's tooltip
+ * @property {Object<string, string|null>} values - Category id → value id
+ * @property {string} [color] - Defaults to RADAR_COLORS by position
+ */
+
+/**
+ * Where a value sits on its category's axis
+ * @param {import('./vocabulary.js').VocabularyCategory} category
+ * @param {string|null} valueId
+ * @returns {number} 0 (centre, nothing picked) to 1 (last value)
+ */
+export function getAxisPosition(category, valueId) {
+  const values = getCategoryValues(category);
+  const index = values.findIndex(value => value.id === valueId);
+  return index < 0 ? 0 : (index + 1) / values.length;
+}
+
+const round = n => Math.round(n * 10) / 10;
+
+/**
+ * Render the chart as an SVG string
+ * @param {RadarSeries[]} series - Drawn in order, first at the back
+ * @param {{ size?: number, labels?: boolean }} [options] - `labels: false`
+ *   drops category names and value ticks for thumbnails
+ * @returns {string} SVG markup
+ */
+export function renderRadarChart(series, { size = 320, labels = true } = {}) {
+  const center = size / 2;
+  const radius = labels ? size * 0.34 : size * 0.45;
+  // Side labels stick out horizontally, widen the view box to fit them
+  const margin = labels ? size * 0.15 : 0;
+  const angleOf = index => -Math.PI / 2 + index * 2 * Math.PI / VOCABULARY.length;
+  const pointAt = (index, position) => [
+    round(center + Math.cos(angleOf(index)) * radius * position),
+    round(center + Math.sin(angleOf(index)) * radius * position)
+  ];
+
+  const rings = [0.25, 0.5, 0.75, 1].map(position => {
+    const points = VOCABULARY.map((_, index) => pointAt(index, position).join(',')).join(' ');
+    return `<polygon class="radar-ring" points="${points}"/>`;
+  }).join('');
+
+  const axes = VOCABULARY.map((category, index) => {
+    const [x, y] = pointAt(index, 1);
+    const line = `<line class="radar-axis" x1="${center}" y1="${center}" x2="${x}" y2="${y}"/>`;
+    if (!labels) return line;
+
+    const ticks = getCategoryValues(category).map(value => {
+      const [tx, ty] = pointAt(index, getAxisPosition(category, value.id));
+      return `<circle class="radar-tick" cx="${tx}" cy="${ty}" r="2"><title>${category.name}: ${value.label}</title></circle>`;
+    }).join('');
+
+    const [lx, ly] = pointAt(index, 1.12);
+    const anchor = Math.abs(lx - center) < 1 ? 'middle' : lx > center ? 'start' : 'end';
+    return `${line}${ticks}<text class="radar-label" x="${lx}" y="${ly}" text-anchor="${anchor}" dominant-baseline="middle">${category.name}</text>`;
+  }).join('');
+
+  const shapes = series.map((entry, seriesIndex) => {
+    const color = entry.color || RADAR_COLORS[seriesIndex % RADAR_COLORS.length];
+    const points = VOCABULARY
+      .map((category, index) => pointAt(index, getAxisPosition(category, entry.values[category.id])).join(','))
+      .join(' ');
+    return `<polygon class="radar-shape" points="${points}" style="fill: ${color}; stroke: ${color}"><title>${escapeHtml(entry.label)}</title></polygon>`;
+  }).join('');
+
+  return `
+    <svg class="radar-chart" viewBox="${-margin} 0 ${size + margin * 2} ${size}" width="${size + margin * 2}" height="${size}" role="img" aria-label="Tasting radar chart">
+      <g class="radar-grid">${rings}${axes}</g>
+      <g class="radar-shapes">${shapes}</g>
+    </svg>`;
+}
@@ -0,0 +1,71 @@
+/**
+ * Ratio Calculator
+ * Solves dose, brew water and beverage yield from any one of them
+ * for a brew ratio, accounting for the water held back by the grounds
+ */
+
+// Grams of water a gram of coffee keeps in the spent bed after a pour-over
+export const GROUNDS_RETENTION = 2;
+
+/** @typedef {'dose'|'water'|'beverage'} BrewQuantity */
+
+/**
+ * Preset serving sizes, single cup to batch brew
+ * @type {{ id: string, label: string, beverage: number }[]}
+ */
+export const SERVING_SIZES = [
+  { id: 'cup', label: 'Single cup', beverage: 250 },
+  { id: 'mug', label: 'Large mug', beverage: 350 },
+  { id: 'two', label: 'Two cups', beverage: 500 },
+  { id: 'carafe', label: 'Carafe', beverage: 750 },
+  { id: 'batch', label: 'Batch', beverage: 1000 },
+];
+
+/**
+ * @typedef {Object} BrewAmounts
+ * @property {number} ratio - Water per gram of coffee
+ * @property {number} dose - Grams of coffee
+ * @property {number} water - Grams of brew water
+ * @property {number} beverage - Grams in the cup
+ */
+
+/**
+ * Solve all three amounts from one of them
+ * beverage = water − dose × retention, water = dose × ratio
+ * @param {BrewQuantity} known
+ * @param {number} amount - Grams of the known quantity
+ * @param {number} ratio - Water per gram of coffee
+ * @param {number} [retention] - Grams of water held per gram of coffee
+ * @returns {BrewAmounts|null} Null when the ratio leaves nothing in the cup
+ */
+export function solveBrew(known, amount, ratio, retention = GROUNDS_RETENTION) {
+  if (ratio <= retention) return null;
+
+  const dose = {
+    dose: amount,
+    water: amount / ratio,
+    beverage: amount / (ratio - retention),
+  }[known];
+
+  return {
+    ratio,
+    dose,
+    water: dose * ratio,
+    beverage: dose * (ratio - retention),
+  };
+}
+
+/**
+ * Solve across a ratio range: the strong end, the middle and the weak end
+ * @param {BrewQuantity} known
+ * @param {number} amount
+ * @param {import('./baselines.js').Range} range
+ * @param {number} [retention]
+ * @returns {BrewAmounts[]} One entry per distinct ratio, strongest first
+ */
+export function solveBrewRange(known, amount, range, retention = GROUNDS_RETENTION) {
+  const ratios = [...new Set([range.min, (range.min + range.max) / 2, range.max])];
+  return ratios
+    .map(ratio => solveBrew(known, amount, ratio, retention))
+    .filter(Boolean);
+}
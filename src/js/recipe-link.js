@@ -0,0 +1,150 @@
+/**
+ * Recipe Links
+ * Packs a full recipe (method, dripper, factors, parameters, dose and pour
+ * schedule) into a compact URL-safe string for recipe.html?recipe=…
+ * The string starts with its schema version ("1.…"); decoders for every
+ * version stay here so old links keep opening
+ */
+import { BASELINE_SECTIONS, GRIND_LEVELS, AGITATION_LEVELS, getBaseline } from './baselines.js';
+import { getMethod } from './methods.js';
+import { DRIPPERS } from './drippers.js';
+import { getPourStyle } from './brew-schedule.js';
+
+export const RECIPE_LINK_VERSION = 1;
+export const RECIPE_LINK_PARAM = 'recipe';
+
+/**
+ * @typedef {Object} SharedRecipe
+ * @property {import('./methods.js').BrewMethod} method
+ * @property {import('./drippers.js').Dripper|null} dripper
+ * @property {Object<string, string|null>} factors - Baseline section id → baseline id
+ * @property {import('./methods.js').MethodRecipe} params
+ * @property {number} dose - Grams of coffee
+ * @property {import('./brew-schedule.js').PourSchedule|null} schedule
+ */
+
+// ============================================
+// BASE64URL
+// ============================================
+function toBase64Url(text) {
+  const binary = String.fromCharCode(...new TextEncoder().encode(text));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+// ============================================
+// ENCODING
+// v1 payload, positional to keep links short:
+// [method, dripper, [altitude, processing, roast], [temp], [ratio], grind,
+//  [agitation] | 0, [time], dose, [[type, start, end, target], …] | 0]
+// Levels are stored by id, not position, so new levels don't shift old links
+// ============================================
+const range = value => [value.min, value.max];
+const STEP_TYPES = ['bloom', 'pour', 'drawdown'];
+
+/**
+ * @param {SharedRecipe} recipe
+ * @returns {string} e.g. "1.WyJwb3Vyb3Zlci…"
+ */
+export function encodeRecipe(recipe) {
+  const { method, dripper, factors, params, dose, schedule } = recipe;
+  const payload = [
+    method.id,
+    dripper?.id || '',
+    BASELINE_SECTIONS.map(section => factors[section.id] || ''),
+    range(params.temp),
+    range(params.ratio),
+    params.grind,
+    params.agitation ? range(params.agitation) : 0,
+    range(params.time),
+    dose,
+    schedule
+      ? schedule.steps.map(step => [STEP_TYPES.indexOf(step.type), step.start, step.end, step.target])
+      : 0,
+  ];
+  return `${RECIPE_LINK_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+// ============================================
+// DECODING
+// ============================================
+const toRange = ([min, max]) => ({ min: Number(min), max: Number(max) });
+const isLevel = (levels, id) => levels.some(level => level.id === id);
+
+// Labels and cues aren't stored, they come from the pour style
+function rebuildSchedule(steps, params, dose) {
+  const style = getPourStyle(params.agitation || { min: 'moderate', max: 'moderate' });
+  const pours = steps.filter(([type]) => STEP_TYPES[type] === 'pour').length;
+  let pour = 0;
+
+  const rebuilt = steps.map(([typeIndex, start, end, target]) => {
+    const type = STEP_TYPES[typeIndex];
+    if (!type) throw new Error(`Unknown pour step type ${typeIndex}`);
+    const step = { type, start, end, target };
+
+    if (type === 'bloom') return { ...step, label: 'Bloom', cue: style.bloomCue };
+    if (type === 'drawdown') return { ...step, label: 'Drawdown', cue: 'Hands off, let it drain' };
+
+    pour++;
+    return {
+      ...step,
+      label: pours === 1 ? 'Main pour' : `Pulse ${pour} of ${pours}`,
+      cue: pour === pours ? style.finalCue : style.pulseCue,
+    };
+  });
+
+  const water = rebuilt.at(-1).target;
+  return { dose, water, ratio: Number((water / dose).toFixed(1)), steps: rebuilt, total: rebuilt.at(-1).end };
+}
+
+/** @returns {SharedRecipe} */
+function decodeV1(payload) {
+  const [methodId, dripperId, factorIds, temp, ratio, grind, agitation, time, dose, steps] = payload;
+  const params = {
+    temp: toRange(temp),
+    ratio: toRange(ratio),
+    grind: isLevel(GRIND_LEVELS, grind) ? grind : 'medium',
+    agitation: agitation && isLevel(AGITATION_LEVELS, agitation[0]) && isLevel(AGITATION_LEVELS, agitation[1])
+      ? { min: agitation[0], max: agitation[1] }
+      : null,
+    time: toRange(time),
+  };
+
+  return {
+    method: getMethod(methodId),
+    dripper: DRIPPERS.find(dripper => dripper.id === dripperId) || null,
+    factors: Object.fromEntries(BASELINE_SECTIONS.map((section, index) => [
+      section.id,
+      getBaseline(section.id, factorIds[index]) ? factorIds[index] : null
+    ])),
+    params,
+    dose: Number(dose),
+    schedule: steps ? rebuildSchedule(steps, params, Number(dose)) : null,
+  };
+}
+
+// One decoder per schema version: add new ones, never edit old ones
+const DECODERS = {
+  1: decodeV1,
+};
+
+/**
+ * @param {string} encoded - From encodeRecipe, any version
+ * @returns {SharedRecipe|null} Null for unknown versions or damaged links
+ */
+export function decodeRecipe(encoded) {
+  const [version, data] = String(encoded).split('.');
+  const decode = DECODERS[version];
+  if (!decode || !data) return null;
+
+  try {
+    return decode(JSON.parse(fromBase64Url(data)));
+  } catch (error) {
+    console.warn('Ignoring a damaged recipe link', error);
+    return null;
+  }
+}
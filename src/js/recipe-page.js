@@ -0,0 +1,839 @@
+/**
+ * Recipe Page
+ * Renders the baseline cards on recipe.html from baselines.js for the chosen
+ * brew method (methods.js) and dripper (drippers.js), and merges one card per
+ * section into a combined baseline. Also hosts the ratio calculator, grinder
+ * settings and the water profile (water.js), and shares or opens recipe links
+ * (recipe-link.js)
+ */
+import {
+  BASELINE_SECTIONS,
+  FACTOR_RULES,
+  GRIND_LEVELS,
+  getBaseline,
+  combineBaselines,
+  formatTemp,
+  formatRatio,
+  formatGrind,
+  formatAgitation
+} from './baselines.js';
+import { SERVING_SIZES, solveBrewRange } from './ratio.js';
+import { METHODS, getMethod, applyMethod, formatBrewTime } from './methods.js';
+import { DRIPPERS, getDripper, getSelectedDripper, selectDripper, applyDripper } from './drippers.js';
+import {
+  WATER_PRESETS,
+  WATER_TARGETS,
+  getWaterRecipe,
+  getWaterEffects,
+  loadWaterProfile,
+  saveWaterProfile
+} from './water.js';
+import { RECIPE_LINK_PARAM, encodeRecipe, decodeRecipe } from './recipe-link.js';
+import { createPourSchedule } from './brew-schedule.js';
+import { formatDuration } from './brews.js';
+import { getValue } from './vocabulary.js';
+import { escapeHtml } from './dom.js';
+import { getUnit, formatQuantity, formatQuantityDelta, onUnitsChange } from './units.js';
+import { createUnitPicker, readQuantity, writeQuantity } from './unit-picker.js';
+import {
+  listGrinders,
+  getSelectedGrinder,
+  selectGrinder,
+  saveCustomGrinder,
+  deleteCustomGrinder,
+  formatGrindSetting
+} from './grinders.js';
+
+const sectionsContainer = document.getElementById('baseline-sections');
+const methodSwitcher = document.getElementById('method-switcher');
+const tldr = document.querySelector('.tldr-box');
+const combiner = document.getElementById('combiner');
+const combinerSelects = combiner.querySelector('.combiner-selects');
+const combinerResult = combiner.querySelector('.combiner-result');
+const sharedPanel = document.getElementById('shared-recipe');
+const calculator = document.getElementById('calculator');
+const calculatorForm = document.getElementById('calculator-form');
+const calculatorResult = calculator.querySelector('.calculator-result');
+const dripperPanel = document.getElementById('dripper');
+const dripperSelect = document.getElementById('dripper-select');
+const grinderPanel = document.getElementById('grinder');
+const grinderSelect = document.getElementById('grinder-select');
+const grinderForm = document.getElementById('grinder-form');
+const waterPanel = document.getElementById('water');
+const waterForm = document.getElementById('water-form');
+const waterRecipeForm = document.getElementById('water-recipe-form');
+
+const PARAM_LABELS = {
+  temp: 'Temp',
+  ratio: 'Ratio',
+  grind: 'Grind',
+  agitation: 'Agitation',
+  time: 'Time'
+};
+
+// Unit of the calculator's amount for each quantity it can solve from
+const KNOWN_DIMENSIONS = {
+  dose: 'mass',
+  water: 'mass',
+  beverage: 'volume'
+};
+
+// One baseline id (or null) per section
+const selection = Object.fromEntries(BASELINE_SECTIONS.map(section => [section.id, null]));
+
+// Id of the custom grinder being edited, null when adding one
+let editingGrinderId = null;
+
+// Opened from a recipe link, shown as sent until dismissed
+let shared = null;
+
+// Kept in the URL (?method=aeropress) so a method can be linked to
+let method = getMethod(new URLSearchParams(location.search).get('method'));
+let dripper = getSelectedDripper();
+
+// ============================================
+// RENDERING
+// ============================================
+function renderParam(label, value, note) {
+  return `
+    <div class="param">
+      <div class="param-label">${label}</div>
+      <div class="param-value">${escapeHtml(value)}</div>
+      ${note ? `<div class="param-note">${escapeHtml(note)}</div>` : ''}
+    </div>`;
+}
+
+// The baseline as brewed with the current method and, if it uses one, dripper
+function brewRecipe(baseline) {
+  const recipe = applyMethod(baseline, method);
+  return method.drippers ? applyDripper(recipe, dripper, method.grinds) : { ...recipe, deltas: [] };
+}
+
+function renderParams(recipe) {
+  const grinder = getSelectedGrinder();
+  return `
+    <div class="params-row">
+      ${renderParam(PARAM_LABELS.temp, formatTemp(recipe.temp))}
+      ${renderParam(PARAM_LABELS.ratio, formatRatio(recipe.ratio))}
+      ${renderParam(PARAM_LABELS.grind, formatGrind(recipe.grind), grinder && formatGrindSetting(grinder, recipe.grind))}
+      ${recipe.agitation ? renderParam(PARAM_LABELS.agitation, formatAgitation(recipe.agitation)) : ''}
+      ${renderParam(PARAM_LABELS.time, formatBrewTime(recipe.time))}
+    </div>`;
+}
+
+function renderMethods() {
+  methodSwitcher.innerHTML = METHODS.map(option => `
+    <button type="button" class="method-option" data-method="${option.id}" aria-pressed="${option === method}">
+      <i class="${option.icon}"></i> ${option.name}
+    </button>`).join('');
+}
+
+function renderTldr() {
+  tldr.querySelector('.tldr-method').textContent = `· ${method.name}`;
+  tldr.querySelector('.tldr-list').innerHTML = method.tldr.map(item => `<li>${item}</li>`).join('');
+}
+
+function renderBaselineCard(baseline) {
+  return `
+    <div class="recipe-card card-base static" data-type="${baseline.id}" role="button" tabindex="0" aria-pressed="false">
+      <div class="recipe-card-header">
+        <span class="recipe-card-icon drop-shadow-rest"><i class="${baseline.icon}"></i></span>
+        <span class="recipe-card-title">${escapeHtml(baseline.name)}</span>
+        <span class="recipe-card-check"><i class="fa-solid fa-check"></i></span>
+      </div>
+      <div class="recipe-card-body">
+        ${renderParams(brewRecipe(baseline))}
+        <div class="recipe-card-desc">${escapeHtml(baseline.description)}</div>
+      </div>
+    </div>`;
+}
+
+function renderSection(section) {
+  return `
+    <h2 class="section-title">
+      <i class="${section.icon}"></i>
+      ${escapeHtml(section.title)}
+    </h2>
+
+    <div class="recipe-grid" data-section="${section.id}">
+      ${section.baselines.map(renderBaselineCard).join('')}
+    </div>`;
+}
+
+function renderSelect(section) {
+  const options = section.baselines
+    .map(baseline => `<option value="${baseline.id}">${escapeHtml(baseline.name)}</option>`)
+    .join('');
+
+  return `
+    <label class="combiner-field">
+      <span class="combiner-label"><i class="${section.icon}"></i> ${escapeHtml(section.title)}</span>
+      <select data-section="${section.id}">
+        <option value="">Any</option>
+        ${options}
+      </select>
+    </label>`;
+}
+
+function renderConflict(conflict, sources) {
+  const nameOf = sectionId => sources.find(s => s.sectionId === sectionId).baseline.name;
+  return `
+    <li>
+      <strong>${PARAM_LABELS[conflict.param]}:</strong>
+      ${escapeHtml(nameOf(conflict.winner))} wins over ${escapeHtml(nameOf(conflict.loser))}
+      <span class="combiner-rule">(${escapeHtml(FACTOR_RULES[conflict.winner])})</span>
+    </li>`;
+}
+
+const DELTA_FORMATS = {
+  grind: formatGrind,
+  agitation: formatAgitation,
+  temp: formatTemp
+};
+
+function renderDelta(delta) {
+  const format = DELTA_FORMATS[delta.param];
+  return `
+    <li>
+      <strong>${PARAM_LABELS[delta.param]}:</strong>
+      ${escapeHtml(format(delta.from))} → ${escapeHtml(format(delta.to))}
+      <span class="dripper-reason">(${escapeHtml(delta.reason)})</span>
+    </li>`;
+}
+
+function renderCombined() {
+  const combined = combineBaselines(selection);
+
+  // The calculator follows the combined ratio, and keeps the last one when cleared
+  if (combined) setCalculatorRatio(applyMethod(combined, method).ratio);
+
+  if (!combined) {
+    combinerResult.innerHTML = `<p class="combiner-hint">Pick a card from each section (or use the selectors above) to merge them into one recipe.</p>`;
+    return;
+  }
+
+  // List in page order, not priority order
+  const names = BASELINE_SECTIONS
+    .map(section => combined.sources.find(s => s.sectionId === section.id))
+    .filter(Boolean)
+    .map(s => escapeHtml(s.baseline.name))
+    .join(' + ');
+  const conflicts = combined.conflicts.length > 0
+    ? `<ul class="combiner-conflicts">${combined.conflicts.map(c => renderConflict(c, combined.sources)).join('')}</ul>`
+    : `<p class="combiner-hint">All selected factors agree.</p>`;
+  const recipe = brewRecipe(combined);
+  const deltas = recipe.deltas.length > 0
+    ? `<ul class="combiner-deltas">${recipe.deltas.map(renderDelta).join('')}</ul>`
+    : '';
+
+  // The pour schedule is pourover only
+  const timerLink = method.id === 'pourover'
+    ? `<a class="btn primary combiner-timer" href="${getTimerHref()}"><i class="fa-solid fa-stopwatch"></i> Start brew timer</a>`
+    : '';
+
+  combinerResult.innerHTML = `
+    <div class="combiner-names">${names}</div>
+    ${renderParams(recipe)}
+    ${conflicts}
+    ${deltas}
+    <div class="combiner-actions">
+      ${timerLink}
+      <button type="button" class="btn" data-action="share"><i class="fa-solid fa-share-nodes"></i> Copy share link</button>
+      <span class="combiner-hint combiner-share-status" aria-live="polite"></span>
+    </div>`;
+}
+
+// ============================================
+// CALCULATOR
+// ============================================
+function renderSizes() {
+  calculator.querySelector('.calculator-sizes').innerHTML = SERVING_SIZES
+    .map(size => `<button type="button" class="btn small" data-size="${size.id}">${size.label} · ${formatQuantity('volume', size.beverage)}</button>`)
+    .join('');
+}
+
+// Espresso ratios are by yield, so nothing is held back and the water is the yield
+function setCalculatorRetention() {
+  calculatorForm.elements.retention.value = method.retention;
+  calculatorForm.elements.known.querySelector('[value="water"]').textContent = method.retention === 0 ? 'Yield' : 'Brew water';
+}
+
+function setCalculatorRatio(ratio) {
+  calculatorForm.elements.ratioMin.value = ratio.min;
+  calculatorForm.elements.ratioMax.value = ratio.max;
+  renderCalculator();
+}
+
+// The amount keeps its number when switching between mass and volume
+function setAmountDimension() {
+  const dimension = KNOWN_DIMENSIONS[calculatorForm.elements.known.value];
+  const unitLabel = calculator.querySelector('.calculator-amount-unit');
+  calculatorForm.elements.amount.dataset.quantity = dimension;
+  unitLabel.dataset.unitLabel = dimension;
+  unitLabel.textContent = getUnit(dimension).label;
+}
+
+function solveCalculator() {
+  const fields = calculatorForm.elements;
+  const servings = Math.max(1, Math.round(Number(fields.servings.value)) || 1);
+  const serving = readQuantity(fields.amount);
+  const amount = serving * servings;
+  const retention = Number(fields.retention.value);
+  const min = Number(fields.ratioMin.value);
+  const max = Number(fields.ratioMax.value);
+  const range = { min: Math.min(min, max), max: Math.max(min, max) };
+
+  const rows = amount > 0 && range.min > 0 && retention >= 0
+    ? solveBrewRange(fields.known.value, amount, range, retention)
+    : [];
+  return { servings, serving, retention, range, rows };
+}
+
+// Dose (grams) from the calculator's middle row, null until it has one
+function getCalculatorDose() {
+  const { range, rows } = solveCalculator();
+  const row = rows.find(r => r.ratio === (range.min + range.max) / 2) || rows[0];
+  return row ? Math.round(row.dose * 10) / 10 : null;
+}
+
+// The timer applies the same dripper and dose, so it pours what the card shows
+function getTimerHref() {
+  const query = new URLSearchParams(Object.entries(selection).filter(([, id]) => id));
+  query.set('dripper', dripper.id);
+  const dose = getCalculatorDose();
+  if (dose) query.set('dose', dose);
+  return `./timer.html?${query}`;
+}
+
+function renderCalculator() {
+  const fields = calculatorForm.elements;
+  const { servings, serving, retention, range, rows } = solveCalculator();
+
+  const timerLink = combinerResult.querySelector('.combiner-timer');
+  if (timerLink) timerLink.href = getTimerHref();
+
+  if (rows.length === 0) {
+    calculatorResult.innerHTML = retention > 0
+      ? `<p class="calculator-hint">Enter an amount and a ratio above ${retention} (the water the grounds keep).</p>`
+      : `<p class="calculator-hint">Enter an amount and a ratio.</p>`;
+    return;
+  }
+
+  // By yield, the second column is what comes out rather than what goes in
+  const byYield = method.retention === 0;
+  const retentionHint = retention > 0
+    ? `The grounds keep about ${retention}× their weight in water, so the cup comes out lighter than the water poured.`
+    : byYield ? 'The ratio is by yield: grams in the cup per gram of coffee.' : '';
+
+  const middle = (range.min + range.max) / 2;
+  const body = rows.map(row => `
+    <tr class="${row.ratio === middle && range.min !== range.max ? 'middle' : ''}">
+      <td>1:${row.ratio}</td>
+      <td>${formatQuantity('mass', row.dose)}</td>
+      <td>${formatQuantity('mass', row.water)}</td>
+      <td>${formatQuantity('volume', row.beverage)}</td>
+    </tr>`).join('');
+
+  calculatorResult.innerHTML = `
+    <table class="calculator-table">
+      <thead><tr><th>Ratio</th><th>Coffee</th><th>${byYield ? 'Yield' : 'Water'}</th><th>In the cup</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    <p class="calculator-hint">
+      ${servings > 1 ? `${servings} servings of ${formatQuantity(fields.amount.dataset.quantity, serving)}. ` : ''}${retentionHint}
+    </p>`;
+}
+
+// ============================================
+// SHARING
+// ============================================
+
+/** @returns {import('./recipe-link.js').SharedRecipe|null} The combined recipe as shown */
+function getShareableRecipe() {
+  const combined = combineBaselines(selection);
+  if (!combined) return null;
+
+  const { temp, ratio, grind, agitation, time } = brewRecipe(combined);
+  const params = { temp, ratio, grind, agitation, time };
+  const dose = getCalculatorDose() ?? 15;
+
+  return {
+    method,
+    dripper: method.drippers ? dripper : null,
+    factors: { ...selection },
+    params,
+    dose,
+    schedule: method.id === 'pourover' ? createPourSchedule(params, dose) : null
+  };
+}
+
+async function copyShareLink(status) {
+  const url = new URL('./recipe.html', location.href);
+  url.searchParams.set(RECIPE_LINK_PARAM, encodeRecipe(getShareableRecipe()));
+
+  try {
+    await navigator.clipboard.writeText(url.href);
+    status.textContent = 'Link copied.';
+  } catch {
+    // Clipboard blocked (http, permissions): show it to copy by hand
+    status.textContent = url.href;
+  }
+}
+
+function renderShared() {
+  sharedPanel.hidden = !shared;
+  if (!shared) return;
+
+  const factorNames = BASELINE_SECTIONS
+    .map(section => getBaseline(section.id, shared.factors[section.id])?.name)
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(' + ');
+
+  // This version's baseline for the same choices, to flag hand-tuned values
+  const combined = combineBaselines(shared.factors);
+  const expected = combined && brewRecipe(combined);
+  const changed = expected && ['temp', 'ratio', 'grind', 'agitation', 'time']
+    .filter(param => JSON.stringify(expected[param]) !== JSON.stringify(shared.params[param]));
+
+  const schedule = shared.schedule
+    ? `
+      <table class="calculator-table shared-schedule">
+        <thead><tr><th>At</th><th>Step</th><th>Scale</th></tr></thead>
+        <tbody>${shared.schedule.steps.map(step => `
+          <tr>
+            <td>${formatDuration(step.start)}</td>
+            <td>${escapeHtml(step.label)}</td>
+            <td>${formatQuantity('mass', step.target)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`
+    : '';
+
+  sharedPanel.querySelector('.shared-recipe-result').innerHTML = `
+    <div class="combiner-names">
+      ${escapeHtml(shared.method.name)}${shared.dripper ? ` · ${escapeHtml(shared.dripper.name)}` : ''}${factorNames ? ` · ${factorNames}` : ''}
+    </div>
+    ${renderParams(shared.params)}
+    <p class="combiner-hint">${formatQuantity('mass', shared.dose)} coffee${shared.schedule ? `, ${formatQuantity('mass', shared.schedule.water)} water over ${formatDuration(shared.schedule.total)}` : ''}.</p>
+    ${changed?.length ? `<p class="combiner-hint">Tuned by the sender: ${changed.map(param => PARAM_LABELS[param]).join(', ')} ${changed.length === 1 ? 'differs' : 'differ'} from the baseline below.</p>` : ''}
+    ${schedule}`;
+}
+
+// Rebuild the page around a shared recipe: method, dripper and cards
+function openShared(recipe) {
+  shared = recipe;
+  switchMethod(recipe.method.id);
+  // Not saved: it's the sender's dripper, not necessarily yours
+  if (recipe.dripper) {
+    dripper = recipe.dripper;
+    renderDripper();
+  }
+  BASELINE_SECTIONS.forEach(section => select(section.id, recipe.factors[section.id]));
+
+  calculatorForm.elements.known.value = 'dose';
+  setAmountDimension();
+  writeQuantity(calculatorForm.elements.amount, recipe.dose);
+  setCalculatorRatio(recipe.params.ratio);
+
+  renderSections();
+  renderShared();
+}
+
+function dismissShared() {
+  shared = null;
+  const url = new URL(location.href);
+  url.searchParams.delete(RECIPE_LINK_PARAM);
+  history.replaceState(history.state, '', url);
+  renderShared();
+}
+
+// ============================================
+// DRIPPER
+// ============================================
+const MODIFIER_FORMATS = {
+  grind: shift => `${Math.abs(shift)} ${Math.abs(shift) === 1 ? 'step' : 'steps'} ${shift > 0 ? 'coarser' : 'finer'}`,
+  agitation: shift => `${Math.abs(shift)} ${Math.abs(shift) === 1 ? 'level' : 'levels'} ${shift > 0 ? 'more' : 'less'}`,
+  temp: shift => formatQuantityDelta('temperature', shift)
+};
+
+function renderDripper() {
+  dripperPanel.hidden = !method.drippers;
+  dripperSelect.innerHTML = DRIPPERS
+    .map(option => `<option value="${option.id}">${escapeHtml(option.name)}</option>`)
+    .join('');
+  dripperSelect.value = dripper.id;
+
+  const modifiers = Object.entries(dripper.modifiers);
+  dripperPanel.querySelector('.dripper-hint').textContent = dripper.description;
+  dripperPanel.querySelector('.dripper-deltas').innerHTML = modifiers.map(([param, modifier]) => `
+    <li>
+      <strong>${PARAM_LABELS[param]}:</strong> ${escapeHtml(MODIFIER_FORMATS[param](modifier.shift))}
+      <span class="dripper-reason">(${escapeHtml(modifier.reason)})</span>
+    </li>`).join('');
+}
+
+// ============================================
+// GRINDER
+// ============================================
+function renderGrinderSelect() {
+  const grinders = listGrinders();
+  const renderOption = grinder => `<option value="${grinder.id}">${escapeHtml(grinder.name)}</option>`;
+  const builtIn = grinders.filter(grinder => !grinder.custom).map(renderOption).join('');
+  const custom = grinders.filter(grinder => grinder.custom).map(renderOption).join('');
+
+  grinderSelect.innerHTML = `
+    <option value="">None (levels only)</option>
+    <optgroup label="Common grinders">${builtIn}</optgroup>
+    ${custom ? `<optgroup label="Your grinders">${custom}</optgroup>` : ''}`;
+
+  const selected = getSelectedGrinder();
+  grinderSelect.value = selected?.id || '';
+  grinderPanel.querySelector('[data-action="edit-grinder"]').hidden = !selected?.custom;
+  grinderPanel.querySelector('[data-action="delete-grinder"]').hidden = !selected?.custom;
+}
+
+function renderGrinderLevels() {
+  const input = (name, placeholder) =>
+    `<input type="number" name="${name}" min="0" step="any" placeholder="${placeholder}" inputmode="decimal">`;
+
+  grinderForm.querySelector('.grinder-levels').innerHTML = `
+    <span></span>
+    <span class="grinder-levels-head">Setting from</span>
+    <span class="grinder-levels-head">Setting to</span>
+    <span class="grinder-levels-head">µm from</span>
+    <span class="grinder-levels-head">µm to</span>
+    ${GRIND_LEVELS.map(level => `
+      <span class="field-label">${level.label}</span>
+      ${input(`${level.id}-min`, '')}
+      ${input(`${level.id}-max`, '')}
+      ${input(`${level.id}-microns-min`, 'auto')}
+      ${input(`${level.id}-microns-max`, 'auto')}`).join('')}`;
+}
+
+// Cards show the grinder's setting under the grind level
+function refreshGrinder() {
+  renderGrinderSelect();
+  renderSections();
+  renderCombined();
+}
+
+function openGrinderForm(grinder) {
+  editingGrinderId = grinder?.id || null;
+  grinderForm.reset();
+  if (grinder) {
+    grinderForm.elements.name.value = grinder.name;
+    grinderForm.elements.scale.value = grinder.scale;
+    Object.entries(grinder.levels).forEach(([grindId, setting]) => {
+      grinderForm.elements[`${grindId}-min`].value = setting.min;
+      grinderForm.elements[`${grindId}-max`].value = setting.max;
+      grinderForm.elements[`${grindId}-microns-min`].value = setting.microns?.min ?? '';
+      grinderForm.elements[`${grindId}-microns-max`].value = setting.microns?.max ?? '';
+    });
+  }
+  grinderForm.hidden = false;
+  grinderForm.elements.name.focus();
+}
+
+function readGrinderLevel(grindId) {
+  const number = name => grinderForm.elements[`${grindId}-${name}`].value === ''
+    ? null
+    : Number(grinderForm.elements[`${grindId}-${name}`].value);
+  const min = number('min') ?? number('max');
+  const max = number('max') ?? min;
+  if (min === null) return null;
+
+  const micronsMin = number('microns-min') ?? number('microns-max');
+  const micronsMax = number('microns-max') ?? micronsMin;
+  return {
+    min: Math.min(min, max),
+    max: Math.max(min, max),
+    ...(micronsMin !== null && { microns: { min: Math.min(micronsMin, micronsMax), max: Math.max(micronsMin, micronsMax) } })
+  };
+}
+
+// ============================================
+// WATER
+// ============================================
+const WATER_LABELS = {
+  gh: 'Hardness (GH)',
+  kh: 'Buffer (KH)',
+  tds: 'TDS'
+};
+
+const WATER_STATUS_TEXT = { '-1': 'Low', 0: 'In range', 1: 'High' };
+
+function renderValueLink(valueId) {
+  const { category, value } = getValue(valueId);
+  return `<a class="chip" href="./language.html#${category.id}/${value.id}"><span class="chip-icon"><i class="${value.icon}"></i></span><span class="chip-text">${category.name}: ${value.shortLabel || value.label}</span></a>`;
+}
+
+function readWaterProfile() {
+  const number = name => Math.max(0, Number(waterForm.elements[name].value) || 0);
+  return { gh: number('gh'), kh: number('kh'), tds: number('tds') };
+}
+
+// The preset shows "Custom" once a value no longer matches it
+function syncWaterPreset(profile) {
+  const preset = WATER_PRESETS.find(p => ['gh', 'kh', 'tds'].every(param => p.profile[param] === profile[param]));
+  waterForm.elements.preset.value = preset?.id || '';
+}
+
+function fillWaterForm(profile) {
+  waterForm.elements.gh.value = profile.gh;
+  waterForm.elements.kh.value = profile.kh;
+  waterForm.elements.tds.value = profile.tds;
+  syncWaterPreset(profile);
+}
+
+function renderWater() {
+  const profile = readWaterProfile();
+  const preset = WATER_PRESETS.find(p => p.id === waterForm.elements.preset.value);
+
+  const effects = getWaterEffects(profile).map(effect => {
+    const target = WATER_TARGETS[effect.param];
+    const chips = effect.valueIds.map(renderValueLink).join('');
+    return `
+      <li>
+        <strong>${WATER_LABELS[effect.param]}: ${profile[effect.param]} ppm</strong>
+        <span class="water-status ${effect.status === 0 ? '' : 'off'}">${WATER_STATUS_TEXT[effect.status]} · ${target.min}–${target.max}</span>
+        <div>${effect.text}</div>
+        ${chips ? `<div class="value-chips">${chips}</div>` : ''}
+      </li>`;
+  }).join('');
+  waterPanel.querySelector('.water-effects').innerHTML = `
+    ${preset ? `<li>${escapeHtml(preset.description)}</li>` : ''}
+    ${effects}`;
+
+  const recipe = getWaterRecipe(profile, readQuantity(waterRecipeForm.elements.volume), waterRecipeForm.elements.hardness.value);
+  const additions = recipe.additions.map(addition =>
+    `<li><strong>${formatQuantity('volume', addition.ml)}</strong> ${addition.solution.name.toLowerCase()}</li>`).join('');
+  waterPanel.querySelector('.water-recipe').innerHTML = `
+    ${additions}
+    <li><strong>${formatQuantity('volume', recipe.distilled)}</strong> distilled water</li>`;
+
+  const used = recipe.additions.map(addition => addition.solution);
+  waterPanel.querySelector('.water-stocks').textContent = used.length > 0
+    ? `Concentrates (1 ml per litre adds 1 ppm): ${used.map(solution => `${solution.name}: ${solution.grams} g ${solution.mineral} in 1 litre of distilled water`).join('; ')}. TDS follows from the minerals.`
+    : 'Plain distilled water: no minerals to add.';
+}
+
+// ============================================
+// METHOD
+// ============================================
+function switchMethod(methodId) {
+  method = getMethod(methodId);
+
+  const url = new URL(location.href);
+  if (method === METHODS[0]) url.searchParams.delete('method');
+  else url.searchParams.set('method', method.id);
+  history.replaceState(history.state, '', url);
+
+  setCalculatorRetention();
+  setCalculatorRatio(applyMethod(combineBaselines(selection), method).ratio);
+
+  renderMethods();
+  renderTldr();
+  renderDripper();
+  renderSections();
+  renderCombined();
+}
+
+// ============================================
+// SELECTION
+// ============================================
+function syncCards(sectionId) {
+  sectionsContainer.querySelectorAll(`.recipe-grid[data-section="${sectionId}"] .recipe-card`).forEach(card => {
+    const selected = card.dataset.type === selection[sectionId];
+    card.classList.toggle('selected', selected);
+    card.setAttribute('aria-pressed', String(selected));
+  });
+}
+
+function renderSections() {
+  sectionsContainer.innerHTML = BASELINE_SECTIONS.map(renderSection).join('');
+  BASELINE_SECTIONS.forEach(section => syncCards(section.id));
+}
+
+function select(sectionId, baselineId) {
+  selection[sectionId] = baselineId || null;
+
+  syncCards(sectionId);
+
+  // Sync selector
+  combinerSelects.querySelector(`select[data-section="${sectionId}"]`).value = selection[sectionId] || '';
+
+  renderCombined();
+}
+
+function toggleCard(card) {
+  const sectionId = card.closest('.recipe-grid').dataset.section;
+  const baselineId = card.dataset.type;
+  select(sectionId, selection[sectionId] === baselineId ? null : baselineId);
+}
+
+// ============================================
+// INIT
+// ============================================
+createUnitPicker(document.getElementById('unit-picker'));
+renderMethods();
+renderTldr();
+renderDripper();
+renderGrinderSelect();
+renderGrinderLevels();
+waterForm.elements.preset.innerHTML = `
+  <option value="">Custom</option>
+  ${WATER_PRESETS.map(preset => `<option value="${preset.id}">${escapeHtml(preset.name)}</option>`).join('')}`;
+fillWaterForm(loadWaterProfile());
+renderWater();
+renderSections();
+combinerSelects.innerHTML = BASELINE_SECTIONS.map(renderSelect).join('');
+renderSizes();
+setCalculatorRetention();
+setCalculatorRatio(method.ratio);
+
+// Cards are re-rendered when the units change, so listen on the container
+sectionsContainer.addEventListener('click', (e) => {
+  const card = e.target.closest('.recipe-card');
+  if (card) toggleCard(card);
+});
+
+sectionsContainer.addEventListener('keydown', (e) => {
+  const card = e.target.closest('.recipe-card');
+  if (card && (e.key === 'Enter' || e.key === ' ')) {
+    e.preventDefault();
+    toggleCard(card);
+  }
+});
+
+combinerSelects.addEventListener('change', (e) => {
+  select(e.target.dataset.section, e.target.value);
+});
+
+combiner.querySelector('.combiner-clear').addEventListener('click', () => {
+  BASELINE_SECTIONS.forEach(section => select(section.id, null));
+});
+
+calculatorForm.elements.known.addEventListener('change', setAmountDimension);
+calculatorForm.addEventListener('input', renderCalculator);
+calculatorForm.addEventListener('submit', e => e.preventDefault());
+
+// Presets fill in the cup size for one serving
+calculator.querySelector('.calculator-sizes').addEventListener('click', (e) => {
+  const button = e.target.closest('[data-size]');
+  if (!button) return;
+
+  const size = SERVING_SIZES.find(s => s.id === button.dataset.size);
+  calculatorForm.elements.known.value = 'beverage';
+  setAmountDimension();
+  writeQuantity(calculatorForm.elements.amount, size.beverage);
+  renderCalculator();
+});
+
+methodSwitcher.addEventListener('click', (e) => {
+  const option = e.target.closest('[data-method]');
+  if (option) switchMethod(option.dataset.method);
+});
+
+waterForm.addEventListener('input', (e) => {
+  if (e.target.name === 'preset') {
+    const preset = WATER_PRESETS.find(p => p.id === e.target.value);
+    if (preset) fillWaterForm(preset.profile);
+  } else {
+    syncWaterPreset(readWaterProfile());
+  }
+  saveWaterProfile(readWaterProfile());
+  renderWater();
+});
+
+waterRecipeForm.addEventListener('input', renderWater);
+
+dripperSelect.addEventListener('change', () => {
+  dripper = getDripper(dripperSelect.value);
+  selectDripper(dripper.id);
+  renderDripper();
+  renderSections();
+  renderCombined();
+});
+
+grinderSelect.addEventListener('change', () => {
+  selectGrinder(grinderSelect.value || null);
+  grinderForm.hidden = true;
+  refreshGrinder();
+});
+
+grinderPanel.querySelector('.grinder-bar').addEventListener('click', (e) => {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  const grinder = getSelectedGrinder();
+  if (button.dataset.action === 'add-grinder') {
+    openGrinderForm(null);
+  } else if (button.dataset.action === 'edit-grinder') {
+    openGrinderForm(grinder);
+  } else if (button.dataset.action === 'delete-grinder') {
+    if (!confirm(`Delete the ${grinder.name} profile?`)) return;
+    deleteCustomGrinder(grinder.id);
+    grinderForm.hidden = true;
+    refreshGrinder();
+  }
+});
+
+grinderForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+
+  const levels = Object.fromEntries(GRIND_LEVELS
+    .map(level => [level.id, readGrinderLevel(level.id)])
+    .filter(([, setting]) => setting));
+  if (Object.keys(levels).length === 0) {
+    grinderForm.elements[`${GRIND_LEVELS[0].id}-min`].setCustomValidity('Map at least one grind level');
+    grinderForm.reportValidity();
+    return;
+  }
+
+  const saved = saveCustomGrinder({
+    id: editingGrinderId,
+    name: grinderForm.elements.name.value.trim(),
+    scale: grinderForm.elements.scale.value,
+    levels
+  });
+  selectGrinder(saved.id);
+  grinderForm.hidden = true;
+  refreshGrinder();
+});
+
+grinderForm.addEventListener('input', (e) => e.target.setCustomValidity(''));
+
+grinderForm.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+  grinderForm.hidden = true;
+});
+
+onUnitsChange(() => {
+  renderDripper();
+  renderSections();
+  renderCombined();
+  renderSizes();
+  renderCalculator();
+  renderWater();
+  renderShared();
+});
+
+combinerResult.addEventListener('click', (e) => {
+  if (e.target.closest('[data-action="share"]')) copyShareLink(combinerResult.querySelector('.combiner-share-status'));
+});
+
+sharedPanel.querySelector('[data-action="dismiss"]').addEventListener('click', dismissShared);
+
+// Bags link here with their factors: ?altitude=high&processing=washed&roast=light
+const linked = new URLSearchParams(location.search);
+BASELINE_SECTIONS.forEach(section => {
+  const baselineId = linked.get(section.id);
+  if (getBaseline(section.id, baselineId)) select(section.id, baselineId);
+});
+
+renderCombined();
+renderCalculator();
+
+// A shared recipe link wins over loose factors, and keeps its own ratio
+const sharedRecipe = linked.has(RECIPE_LINK_PARAM) && decodeRecipe(linked.get(RECIPE_LINK_PARAM));
+if (sharedRecipe) openShared(sharedRecipe);
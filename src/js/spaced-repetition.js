@@ -0,0 +1,66 @@
+/**
+ * Spaced Repetition
+ * SM-2 scheduling: each review grades recall 0–5, successful reviews
+ * grow the interval by the card's ease factor, failures start over
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grades below this count as a failed recall
+export const PASSING_GRADE = 3;
+
+// A term counts as learned once its interval reaches this many days
+export const MASTERED_INTERVAL = 21;
+
+/**
+ * @typedef {Object} ReviewCard
+ * @property {number} repetitions - Successful reviews in a row
+ * @property {number} interval - Days until the next review
+ * @property {number} ease - Interval multiplier, never below 1.3
+ * @property {number} due - Timestamp (ms) of the next review
+ * @property {number} reviews - Total reviews, passed or failed
+ * @property {number} lapses - Total failed reviews
+ */
+
+/** @returns {ReviewCard} A card that has never been reviewed, due immediately */
+export function createCard() {
+  return { repetitions: 0, interval: 0, ease: 2.5, due: 0, reviews: 0, lapses: 0 };
+}
+
+/**
+ * Schedule the next review
+ * @param {ReviewCard} card
+ * @param {number} grade - 0 (blackout) to 5 (perfect recall)
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {ReviewCard} A new card, the input is left untouched
+ */
+export function reviewCard(card, grade, now = Date.now()) {
+  const passed = grade >= PASSING_GRADE;
+
+  let interval;
+  if (!passed) interval = 1;
+  else if (card.repetitions === 0) interval = 1;
+  else if (card.repetitions === 1) interval = 6;
+  else interval = Math.round(card.interval * card.ease);
+
+  const ease = Math.max(1.3, card.ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+  return {
+    repetitions: passed ? card.repetitions + 1 : 0,
+    interval,
+    ease,
+    due: now + interval * DAY_MS,
+    reviews: card.reviews + 1,
+    lapses: card.lapses + (passed ? 0 : 1),
+  };
+}
+
+/** @returns {boolean} */
+export function isDue(card, now = Date.now()) {
+  return card.due <= now;
+}
+
+/** @returns {boolean} */
+export function isMastered(card) {
+  return card.interval >= MASTERED_INTERVAL;
+}
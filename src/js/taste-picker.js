@@ -0,0 +1,61 @@
+/**
+ * Taste Picker
+ * One chip row per vocabulary category, at most one value selected per row
+ * Shared by the troubleshoot and tasting pages
+ */
+import { VOCABULARY, getCategoryValues } from './vocabulary.js';
+
+function renderTasteRow(category) {
+  const chips = getCategoryValues(category).map(value => `
+    <button type="button" class="chip taste-chip shadow-hover" data-value="${value.id}" aria-pressed="false">
+      <span class="chip-icon"><i class="${value.icon}"></i></span>
+      <span class="chip-text">${value.shortLabel || value.label}</span>
+    </button>`).join('');
+
+  return `
+    <div class="taste-row" data-category="${category.id}" data-color="${category.color}">
+      <div class="taste-row-label"><i class="${category.icon}"></i> ${category.name}</div>
+      <div class="value-chips">${chips}</div>
+    </div>`;
+}
+
+/**
+ * Render the picker into a container and track its selection
+ * @param {HTMLElement} container
+ * @param {{ onChange?: (values: Object<string, string|null>) => void }} [options] -
+ *   Called after the user toggles a chip
+ * @returns {{ getValues: () => Object<string, string|null>, setValues: (values: Object<string, string|null>) => void }}
+ *   Values are keyed by category id
+ */
+export function createTastePicker(container, { onChange } = {}) {
+  const values = Object.fromEntries(VOCABULARY.map(category => [category.id, null]));
+
+  const sync = () => {
+    container.querySelectorAll('.taste-chip').forEach(chip => {
+      const categoryId = chip.closest('.taste-row').dataset.category;
+      chip.setAttribute('aria-pressed', String(values[categoryId] === chip.dataset.value));
+    });
+  };
+
+  container.innerHTML = VOCABULARY.map(renderTasteRow).join('');
+
+  container.addEventListener('click', (e) => {
+    const chip = e.target.closest('.taste-chip');
+    if (!chip) return;
+
+    const categoryId = chip.closest('.taste-row').dataset.category;
+    values[categoryId] = values[categoryId] === chip.dataset.value ? null : chip.dataset.value;
+    sync();
+    onChange?.({ ...values });
+  });
+
+  return {
+    getValues: () => ({ ...values }),
+    setValues(next) {
+      Object.keys(values).forEach(categoryId => {
+        values[categoryId] = next?.[categoryId] || null;
+      });
+      sync();
+    }
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * Tasting Page
+ * Record a cup with the ten vocabulary attributes, then list, edit
+ * and delete the saved sessions and overlay them on a radar chart
+ */
+import { getValue } from './vocabulary.js';
+import { BASELINE_SECTIONS, getBaseline } from './baselines.js';
+import { listTastings, getTasting, saveTasting, deleteTasting } from './tastings.js';
+import { createTastePicker } from './taste-picker.js';
+import { renderRadarChart, RADAR_COLORS } from './radar-chart.js';
+import { escapeHtml } from './dom.js';
+
+const form = document.getElementById('tasting-form');
+const formTitle = document.getElementById('tasting-form-title');
+const cancelButton = form.querySelector('[data-action="cancel"]');
+const formStatus = form.querySelector('.form-status');
+const list = document.getElementById('tasting-list');
+const compare = document.getElementById('tasting-compare');
+
+const tastePicker = createTastePicker(document.getElementById('taste-picker'));
+
+// Id of the session being edited, null when recording a new one
+let editingId = null;
+let tastings = [];
+// Ids of the sessions overlaid on the comparison chart, in selection order
+const compared = new Set();
+
+// ============================================
+// RENDERING
+// ============================================
+function renderOptions(sectionId) {
+  const section = BASELINE_SECTIONS.find(s => s.id === sectionId);
+  return `<option value="">—</option>` + section.baselines
+    .map(baseline => `<option value="${baseline.id}">${escapeHtml(baseline.name)}</option>`)
+    .join('');
+}
+
+function renderValueChip(valueId) {
+  const { category, value } = getValue(valueId);
+  return `<span class="chip"><span class="chip-icon"><i class="${value.icon}"></i></span><span class="chip-text">${category.name}: ${value.shortLabel || value.label}</span></span>`;
+}
+
+function renderTasting(tasting) {
+  const meta = [
+    tasting.origin,
+    getBaseline('processing', tasting.process)?.name,
+    getBaseline('roast', tasting.roast)?.name
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+  const chips = Object.values(tasting.values).filter(Boolean).map(renderValueChip).join('');
+  const date = new Date(tasting.createdAt).toLocaleDateString();
+
+  return `
+    <article class="tasting-card card-base static" data-id="${tasting.id}">
+      <div class="tasting-card-header">
+        <span class="tasting-card-title">${escapeHtml(tasting.name)}</span>
+        <span class="tasting-card-date">${date}</span>
+      </div>
+      <div class="tasting-card-body">
+        <div class="tasting-card-radar">${renderRadarChart([{ label: tasting.name, values: tasting.values }], { size: 120, labels: false })}</div>
+        <div class="tasting-card-details">
+          ${meta ? `<div class="tasting-card-meta">${meta}</div>` : ''}
+          ${chips ? `<div class="value-chips">${chips}</div>` : ''}
+        </div>
+      </div>
+      ${tasting.notes ? `<p class="tasting-card-notes">${escapeHtml(tasting.notes)}</p>` : ''}
+      <div class="tasting-card-actions">
+        <button type="button" class="btn small" data-action="compare" aria-pressed="${compared.has(tasting.id)}"><i class="fa-solid fa-chart-area"></i> Compare</button>
+        <button type="button" class="btn small" data-action="edit"><i class="fa-solid fa-pen"></i> Edit</button>
+        <button type="button" class="btn small" data-action="delete"><i class="fa-solid fa-trash"></i> Delete</button>
+      </div>
+    </article>`;
+}
+
+function renderCompare() {
+  const selected = [...compared]
+    .map(id => tastings.find(tasting => tasting.id === id))
+    .filter(Boolean);
+
+  compare.hidden = selected.length === 0;
+  if (selected.length === 0) return;
+
+  const legend = selected.map((tasting, index) => `
+    <li><span class="tasting-compare-swatch" style="background: ${RADAR_COLORS[index % RADAR_COLORS.length]}"></span>${escapeHtml(tasting.name)}</li>`).join('');
+
+  compare.querySelector('.tasting-compare-chart').innerHTML =
+    renderRadarChart(selected.map(tasting => ({ label: tasting.name, values: tasting.values })));
+  compare.querySelector('.tasting-compare-legend').innerHTML = legend;
+}
+
+async function renderList() {
+  try {
+    tastings = await listTastings();
+    list.innerHTML = tastings.length > 0
+      ? tastings.map(renderTasting).join('')
+      : `<p class="tasting-hint">No sessions yet. Record your first cup above.</p>`;
+  } catch (error) {
+    list.innerHTML = `<p class="tasting-hint">Sessions can't be loaded: this browser is blocking local storage.</p>`;
+    console.error(error);
+  }
+  renderCompare();
+}
+
+// ============================================
+// FORM
+// ============================================
+function resetForm() {
+  editingId = null;
+  formStatus.textContent = '';
+  form.reset();
+  tastePicker.setValues({});
+  formTitle.textContent = 'Record a cup';
+  cancelButton.hidden = true;
+}
+
+async function editTasting(id) {
+  formStatus.textContent = '';
+
+  let tasting;
+  try {
+    tasting = await getTasting(id);
+  } catch (error) {
+    formStatus.textContent = `The session couldn't be loaded: this browser is blocking local storage.`;
+    console.error(error);
+    return;
+  }
+  if (!tasting) return;
+
+  editingId = id;
+  form.elements.name.value = tasting.name;
+  form.elements.origin.value = tasting.origin;
+  form.elements.process.value = tasting.process;
+  form.elements.roast.value = tasting.roast;
+  form.elements.notes.value = tasting.notes;
+  tastePicker.setValues(tasting.values);
+  formTitle.textContent = `Edit ${tasting.name}`;
+  cancelButton.hidden = false;
+  form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  formStatus.textContent = '';
+
+  try {
+    const existing = editingId !== null ? await getTasting(editingId) : null;
+    await saveTasting({
+      ...existing,
+      name: form.elements.name.value.trim(),
+      origin: form.elements.origin.value.trim(),
+      process: form.elements.process.value,
+      roast: form.elements.roast.value,
+      values: tastePicker.getValues(),
+      notes: form.elements.notes.value.trim()
+    });
+  } catch (error) {
+    formStatus.textContent = `The session couldn't be saved: this browser is blocking local storage or is out of space.`;
+    console.error(error);
+    return;
+  }
+
+  resetForm();
+  renderList();
+});
+
+cancelButton.addEventListener('click', resetForm);
+
+list.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  const card = button.closest('.tasting-card');
+  const id = Number(card.dataset.id);
+
+  if (button.dataset.action === 'compare') {
+    if (compared.has(id)) compared.delete(id);
+    else compared.add(id);
+    button.setAttribute('aria-pressed', String(compared.has(id)));
+    renderCompare();
+  } else if (button.dataset.action === 'edit') {
+    editTasting(id);
+  } else if (button.dataset.action === 'delete') {
+    const name = card.querySelector('.tasting-card-title').textContent;
+    if (!confirm(`Delete the session for ${name}?`)) return;
+
+    formStatus.textContent = '';
+    try {
+      await deleteTasting(id);
+    } catch (error) {
+      formStatus.textContent = `The session couldn't be deleted: this browser is blocking local storage.`;
+      console.error(error);
+      return;
+    }
+    compared.delete(id);
+    if (editingId === id) resetForm();
+    renderList();
+  }
+});
+
+compare.querySelector('[data-action="clear-compare"]').addEventListener('click', () => {
+  compared.clear();
+  list.querySelectorAll('[data-action="compare"]').forEach(button => button.setAttribute('aria-pressed', 'false'));
+  renderCompare();
+});
+
+// ============================================
+// INIT
+// ============================================
+form.elements.process.innerHTML = renderOptions('processing');
+form.elements.roast.innerHTML = renderOptions('roast');
+
+resetForm();
+renderList();
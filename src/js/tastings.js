@@ -0,0 +1,51 @@
+/**
+ * Tasting Sessions
+ * One recorded cup: the coffee, one vocabulary value per category and notes
+ * Stored in the local database (db.js)
+ */
+import { getAll, getRecord, putRecord, deleteRecord } from './db.js';
+
+const STORE = 'tastings';
+
+/**
+ * @typedef {Object} Tasting
+ * @property {number} [id] - Assigned on first save
+ * @property {string} name - Coffee name
+ * @property {string} origin
+ * @property {string} process - "processing" baseline id, or ""
+ * @property {string} roast - "roast" baseline id, or ""
+ * @property {Object<string, string|null>} values - Category id → vocabulary value id
+ * @property {string} notes
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/** @returns {Promise<Tasting[]>} Newest first */
+export async function listTastings() {
+  const tastings = await getAll(STORE);
+  return tastings.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** @returns {Promise<Tasting|undefined>} */
+export function getTasting(id) {
+  return getRecord(STORE, id);
+}
+
+/**
+ * Create or update a session, stamping its timestamps
+ * @param {Tasting} tasting
+ * @returns {Promise<number>} The session id
+ */
+export function saveTasting(tasting) {
+  const now = new Date().toISOString();
+  return putRecord(STORE, {
+    ...tasting,
+    createdAt: tasting.createdAt || now,
+    updatedAt: now,
+  });
+}
+
+/** @returns {Promise<void>} */
+export function deleteTasting(id) {
+  return deleteRecord(STORE, id);
+}
@@ -0,0 +1,242 @@
+/**
+ * Timer Page
+ * Guided pour-over timer: pick a baseline and dose, then follow the bloom,
+ * pulses and drawdown in a large running view with pause, resume and laps
+ */
+import { BASELINE_SECTIONS, combineBaselines, formatRatio, formatAgitation } from './baselines.js';
+import { getMethod, applyMethod } from './methods.js';
+import { DRIPPERS, applyDripper } from './drippers.js';
+import { createPourSchedule, getStepIndex } from './brew-schedule.js';
+import { formatDuration } from './brews.js';
+import { escapeHtml } from './dom.js';
+import { formatQuantity, onUnitsChange } from './units.js';
+import { createUnitPicker, readQuantity, writeQuantity } from './unit-picker.js';
+
+const setup = document.getElementById('timer-setup');
+const factors = document.getElementById('timer-factors');
+const doseInput = document.getElementById('timer-dose');
+const preview = document.getElementById('timer-preview');
+const startButton = document.getElementById('timer-start');
+const run = document.getElementById('timer-run');
+const pauseButton = run.querySelector('[data-action="pause"]');
+const lapList = run.querySelector('.timer-laps');
+
+// One baseline id (or null) per section
+const selection = Object.fromEntries(BASELINE_SECTIONS.map(section => [section.id, null]));
+
+// Dripper from recipe.html, null to brew the baselines as they are
+let dripper = null;
+let schedule = null;
+// Elapsed time is accumulated across pauses
+let startedAt = 0;
+let elapsedBeforePause = 0;
+let running = false;
+let ticker = null;
+let currentStep = -1;
+let laps = [];
+let wakeLock = null;
+
+// ============================================
+// SETUP
+// ============================================
+function renderSelect(section) {
+  const options = section.baselines
+    .map(baseline => `<option value="${baseline.id}">${escapeHtml(baseline.name)}</option>`)
+    .join('');
+
+  return `
+    <label class="field">
+      <span class="field-label"><i class="${section.icon}"></i> ${escapeHtml(section.title)}</span>
+      <select data-section="${section.id}">
+        <option value="">Any</option>
+        ${options}
+      </select>
+    </label>`;
+}
+
+// The combined baselines, adjusted for the dripper like recipe.html does
+function brewRecipe() {
+  const baseline = combineBaselines(selection);
+  if (!baseline || !dripper) return baseline;
+
+  const pourover = getMethod('pourover');
+  return applyDripper(applyMethod(baseline, pourover), dripper, pourover.grinds);
+}
+
+function renderPreview() {
+  const recipe = brewRecipe();
+  const dose = readQuantity(doseInput);
+  schedule = recipe && dose > 0 ? createPourSchedule(recipe, dose) : null;
+  startButton.disabled = !schedule;
+
+  if (!schedule) {
+    preview.innerHTML = `<p class="timer-hint">Pick at least one baseline and a dose to build the pour schedule.</p>`;
+    return;
+  }
+
+  const rows = schedule.steps.map(step => `
+    <tr>
+      <td>${formatDuration(step.start)}</td>
+      <td>${step.label}</td>
+      <td>${step.type === 'drawdown' ? `done by ${formatDuration(step.end)}` : formatQuantity('mass', step.target)}</td>
+      <td>${step.cue}</td>
+    </tr>`).join('');
+
+  preview.innerHTML = `
+    <div class="timer-summary">
+      ${formatQuantity('mass', schedule.dose)} coffee · ${formatQuantity('mass', schedule.water)} water · 1:${schedule.ratio}
+      <span class="timer-hint">(baseline ${formatRatio(recipe.ratio)}, ${formatAgitation(recipe.agitation)} agitation${dripper ? `, ${escapeHtml(dripper.name)}` : ''})</span>
+    </div>
+    <table class="timer-table">
+      <thead><tr><th>At</th><th>Step</th><th>Scale</th><th>Cue</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// ============================================
+// RUNNING
+// ============================================
+function getElapsed() {
+  return elapsedBeforePause + (running ? (performance.now() - startedAt) / 1000 : 0);
+}
+
+function renderRun() {
+  const elapsed = getElapsed();
+  const index = getStepIndex(schedule, elapsed);
+  const step = schedule.steps[index];
+  const next = schedule.steps[index + 1];
+
+  if (index !== currentStep) {
+    // Buzz on every step change after the first
+    if (currentStep >= 0) navigator.vibrate?.(200);
+    currentStep = index;
+    run.querySelector('.timer-step-label').textContent = step.label;
+    run.querySelector('.timer-target').textContent = formatQuantity('mass', step.target);
+    run.querySelector('.timer-cue').textContent = step.cue;
+    run.querySelector('.timer-next').textContent = next
+      ? `Next: ${next.label} at ${formatDuration(next.start)}${next.type === 'pour' ? ` → ${formatQuantity('mass', next.target)}` : ''}`
+      : `Drawdown done by ${formatDuration(schedule.total)}`;
+    run.dataset.step = step.type;
+  }
+
+  const progress = Math.min(1, (elapsed - step.start) / (step.end - step.start));
+  run.querySelector('.timer-clock').textContent = formatDuration(Math.floor(elapsed));
+  run.querySelector('.timer-progress span').style.width = `${progress * 100}%`;
+  run.classList.toggle('overtime', elapsed > schedule.total);
+}
+
+function renderLaps() {
+  lapList.innerHTML = laps.map((lap, index) => {
+    const split = index === 0 ? lap.time : lap.time - laps[index - 1].time;
+    return `<li><span>Lap ${index + 1}</span><span>${formatDuration(Math.floor(lap.time))}</span><span>+${formatDuration(Math.floor(split))}</span><span>${lap.step}</span></li>`;
+  }).reverse().join('');
+}
+
+async function keepAwake(awake) {
+  try {
+    if (awake && !wakeLock) wakeLock = await navigator.wakeLock?.request('screen');
+    if (!awake && wakeLock) {
+      await wakeLock.release();
+      wakeLock = null;
+    }
+  } catch {
+    // Wake lock is a nicety, the timer works without it
+  }
+}
+
+function resume() {
+  running = true;
+  startedAt = performance.now();
+  ticker = setInterval(renderRun, 200);
+  pauseButton.innerHTML = '<i class="fa-solid fa-pause"></i> Pause';
+  run.classList.remove('paused');
+  keepAwake(true);
+  renderRun();
+}
+
+function pause() {
+  elapsedBeforePause = getElapsed();
+  running = false;
+  clearInterval(ticker);
+  pauseButton.innerHTML = '<i class="fa-solid fa-play"></i> Resume';
+  run.classList.add('paused');
+  keepAwake(false);
+  renderRun();
+}
+
+function start() {
+  elapsedBeforePause = 0;
+  currentStep = -1;
+  laps = [];
+  renderLaps();
+  setup.hidden = true;
+  run.hidden = false;
+  document.body.classList.add('timer-running');
+  resume();
+}
+
+function stop() {
+  if (running) pause();
+  run.hidden = true;
+  setup.hidden = false;
+  document.body.classList.remove('timer-running');
+}
+
+function lap() {
+  if (!running) return;
+  laps.push({ time: getElapsed(), step: schedule.steps[currentStep].label });
+  renderLaps();
+}
+
+// ============================================
+// EVENTS
+// ============================================
+factors.addEventListener('change', (e) => {
+  selection[e.target.dataset.section] = e.target.value || null;
+  renderPreview();
+});
+
+doseInput.addEventListener('input', renderPreview);
+startButton.addEventListener('click', start);
+pauseButton.addEventListener('click', () => (running ? pause() : resume()));
+run.querySelector('[data-action="lap"]').addEventListener('click', lap);
+run.querySelector('[data-action="stop"]').addEventListener('click', stop);
+
+// Space pauses/resumes, L records a lap
+document.addEventListener('keydown', (e) => {
+  if (run.hidden || e.metaKey || e.ctrlKey || e.altKey) return;
+  if (e.key === ' ') {
+    e.preventDefault();
+    running ? pause() : resume();
+  } else if (e.key === 'l' || e.key === 'L') {
+    lap();
+  }
+});
+
+// ============================================
+// INIT
+// Baselines, dose (in grams) and dripper can be preset from the URL
+// (?roast=light&dose=18&dripper=chemex), which is how recipe.html links here
+// ============================================
+createUnitPicker(document.getElementById('unit-picker'));
+onUnitsChange(() => {
+  renderPreview();
+  if (run.hidden) return;
+  // Redraw the step texts too
+  currentStep = -1;
+  renderRun();
+});
+
+factors.innerHTML = BASELINE_SECTIONS.map(renderSelect).join('');
+
+const params = new URLSearchParams(location.search);
+BASELINE_SECTIONS.forEach(section => {
+  const select = factors.querySelector(`select[data-section="${section.id}"]`);
+  select.value = params.get(section.id) || '';
+  // Unknown ids leave the select empty
+  selection[section.id] = select.value || null;
+});
+if (Number(params.get('dose')) > 0) writeQuantity(doseInput, Number(params.get('dose')));
+dripper = DRIPPERS.find(option => option.id === params.get('dripper')) || null;
+
+renderPreview();
@@ -0,0 +1,152 @@
+/**
+ * Troubleshoot Page
+ * Pick what you tasted (one value per category) and an optional baseline,
+ * get the likely causes ranked and concrete brewing corrections
+ */
+import { getValue } from './vocabulary.js';
+import {
+  BASELINE_SECTIONS,
+  combineBaselines,
+  formatTemp,
+  formatGrind,
+  formatAgitation
+} from './baselines.js';
+import { getMethod } from './methods.js';
+import { diagnose, suggestCorrection, applyCorrection } from './diagnostics.js';
+import { escapeHtml } from './dom.js';
+import { createTastePicker } from './taste-picker.js';
+import { formatQuantityDelta, onUnitsChange } from './units.js';
+import { createUnitPicker } from './unit-picker.js';
+
+const recipeSelects = document.getElementById('recipe-selects');
+const diagnosis = document.getElementById('diagnosis');
+
+// One baseline id (or null) per section
+const recipe = Object.fromEntries(BASELINE_SECTIONS.map(section => [section.id, null]));
+
+const CORRECTION_LABELS = {
+  temp: 'Temp',
+  grind: 'Grind',
+  agitation: 'Agitation'
+};
+
+const FORMATTERS = {
+  temp: formatTemp,
+  grind: formatGrind,
+  agitation: formatAgitation
+};
+
+function describeDelta(param, delta) {
+  const steps = Math.abs(delta) === 1 ? 'step' : 'steps';
+  if (param === 'temp') return formatQuantityDelta('temperature', delta);
+  if (param === 'grind') return `${Math.abs(delta)} ${steps} ${delta > 0 ? 'coarser' : 'finer'}`;
+  return `${Math.abs(delta)} ${steps} ${delta > 0 ? 'more' : 'less'}`;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function renderSelect(section) {
+  const options = section.baselines
+    .map(baseline => `<option value="${baseline.id}">${escapeHtml(baseline.name)}</option>`)
+    .join('');
+
+  return `
+    <label class="diagnosis-field">
+      <span class="diagnosis-label"><i class="${section.icon}"></i> ${escapeHtml(section.title)}</span>
+      <select data-section="${section.id}">
+        <option value="">Any</option>
+        ${options}
+      </select>
+    </label>`;
+}
+
+function evidenceLabel(valueId) {
+  const { category, value } = getValue(valueId);
+  return `${category.name}: ${value.label}`;
+}
+
+function renderCause(entry, topScore) {
+  const evidence = entry.evidence.map(id => escapeHtml(evidenceLabel(id))).join(', ');
+  return `
+    <li class="cause-item">
+      <div class="cause-header">
+        <span class="cause-label">${escapeHtml(entry.cause.label)}</span>
+        <span class="cause-evidence">${evidence}</span>
+      </div>
+      <div class="cause-bar"><span style="width: ${Math.round(entry.score / topScore * 100)}%"></span></div>
+    </li>`;
+}
+
+function renderCorrection(param, adjustment, before, after) {
+  const reasons = adjustment.reasons.map(cause => escapeHtml(cause.label)).join(', ');
+  const change = adjustment.delta === 0
+    ? 'Keep as is'
+    : describeDelta(param, adjustment.delta);
+  const values = before
+    ? `<span class="correction-values">${escapeHtml(FORMATTERS[param](before[param]))} → <strong>${escapeHtml(FORMATTERS[param](after[param]))}</strong></span>`
+    : '';
+
+  return `
+    <div class="correction${adjustment.delta === 0 ? ' unchanged' : ''}">
+      <div class="correction-param">${CORRECTION_LABELS[param]}</div>
+      <div class="correction-change">${change}</div>
+      ${values}
+      ${reasons ? `<div class="correction-reasons">${reasons}</div>` : ''}
+    </div>`;
+}
+
+function renderDiagnosis() {
+  const valueIds = Object.values(tastePicker.getValues()).filter(Boolean);
+  const ranked = diagnose(valueIds);
+
+  if (valueIds.length === 0) {
+    diagnosis.innerHTML = `<p class="diagnosis-hint">Pick what you tasted above to see the likely causes.</p>`;
+    return;
+  }
+
+  if (ranked.length === 0) {
+    diagnosis.innerHTML = `<p class="diagnosis-hint">Nothing to fix — every value you picked points to a well-extracted cup.</p>`;
+    return;
+  }
+
+  const correction = suggestCorrection(ranked);
+  const baseline = combineBaselines(recipe);
+  const corrected = baseline && applyCorrection(baseline, correction, getMethod('pourover').grinds);
+  const tips = [...new Set(correction.tips)].slice(0, 3);
+
+  diagnosis.innerHTML = `
+    <h3 class="diagnosis-subtitle">Likely causes</h3>
+    <ol class="cause-list">${ranked.slice(0, 5).map(entry => renderCause(entry, ranked[0].score)).join('')}</ol>
+
+    <h3 class="diagnosis-subtitle">Corrections</h3>
+    ${baseline ? '' : `<p class="diagnosis-hint">Choose your baseline above to see the corrected values.</p>`}
+    <div class="corrections">
+      ${Object.keys(CORRECTION_LABELS).map(param => renderCorrection(param, correction[param], baseline, corrected)).join('')}
+    </div>
+
+    <ul class="diagnosis-tips">${tips.map(tip => `<li>${escapeHtml(tip)}</li>`).join('')}</ul>`;
+}
+
+// ============================================
+// INIT
+// ============================================
+createUnitPicker(document.getElementById('unit-picker'));
+onUnitsChange(renderDiagnosis);
+
+const tastePicker = createTastePicker(document.getElementById('taste-picker'), {
+  onChange: renderDiagnosis
+});
+recipeSelects.innerHTML = BASELINE_SECTIONS.map(renderSelect).join('');
+
+recipeSelects.addEventListener('change', (e) => {
+  recipe[e.target.dataset.section] = e.target.value || null;
+  renderDiagnosis();
+});
+
+document.querySelector('.diagnosis-clear').addEventListener('click', () => {
+  tastePicker.setValues({});
+  renderDiagnosis();
+});
+
+renderDiagnosis();
@@ -0,0 +1,95 @@
+/**
+ * Unit Picker
+ * °C/°F, g/oz and ml/fl oz toggles bound to the unit preference
+ * Also keeps the page's unit labels and number inputs in the chosen units:
+ * - `<span data-unit-label="mass">` shows the unit, e.g. "oz"
+ * - `<input data-quantity="temperature">` is written in base units in the
+ *   HTML (value, min, max) and converted in place; read it with readQuantity
+ */
+import { UNITS, getUnits, setUnits, onUnitsChange, getUnit, toUnit, fromUnit } from './units.js';
+
+const BASE_UNITS = Object.fromEntries(Object.entries(UNITS).map(([dimension, units]) => [dimension, units[0].id]));
+
+function renderGroup([dimension, units]) {
+  const buttons = units.map(unit => `
+    <button type="button" class="unit-picker-option" data-unit="${unit.id}" aria-pressed="false">${unit.label}</button>`).join('');
+
+  return `<div class="unit-picker-group" data-dimension="${dimension}" role="group" aria-label="${dimension} unit">${buttons}</div>`;
+}
+
+function convertInputs(root, previous, units) {
+  root.querySelectorAll('input[data-quantity]').forEach(input => {
+    const dimension = input.dataset.quantity;
+    const fromBase = value => String(toUnit(dimension, Number(value), units));
+
+    // Keep the authored (base unit) attributes so repeated switches don't drift
+    input.dataset.baseValue ??= input.defaultValue;
+    if (input.hasAttribute('min')) input.dataset.baseMin ??= input.min;
+    if (input.hasAttribute('max')) input.dataset.baseMax ??= input.max;
+
+    // Changing defaultValue can overwrite an untouched value, so read it first
+    const fromPrevious = value => String(toUnit(dimension, fromUnit(dimension, Number(value), previous), units));
+    const value = input.value === '' ? '' : input.value === input.defaultValue ? null : fromPrevious(input.value);
+    if (input.dataset.baseValue !== '') input.defaultValue = fromBase(input.dataset.baseValue);
+    // An untouched default is reset from its base value
+    input.value = value ?? input.defaultValue;
+    if (input.dataset.baseMin !== undefined) input.min = fromBase(input.dataset.baseMin);
+    if (input.dataset.baseMax !== undefined) input.max = fromBase(input.dataset.baseMax);
+  });
+}
+
+function renderLabels(root, units) {
+  root.querySelectorAll('[data-unit-label]').forEach(label => {
+    label.textContent = getUnit(label.dataset.unitLabel, units).label;
+  });
+}
+
+/**
+ * Render the toggles and put the page's labels and inputs in the chosen units
+ * Create it before other onUnitsChange listeners so inputs are converted first
+ * @param {HTMLElement} container
+ */
+export function createUnitPicker(container) {
+  const sync = (units) => {
+    container.querySelectorAll('.unit-picker-group').forEach(group => {
+      group.querySelectorAll('.unit-picker-option').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.unit === units[group.dataset.dimension]));
+      });
+    });
+  };
+
+  container.innerHTML = Object.entries(UNITS).map(renderGroup).join('');
+
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('.unit-picker-option');
+    if (!button) return;
+    setUnits({ [button.closest('.unit-picker-group').dataset.dimension]: button.dataset.unit });
+  });
+
+  onUnitsChange((units, previous) => {
+    convertInputs(document, previous, units);
+    renderLabels(document, units);
+    sync(units);
+  });
+
+  const units = getUnits();
+  convertInputs(document, BASE_UNITS, units);
+  renderLabels(document, units);
+  sync(units);
+}
+
+/**
+ * @param {HTMLInputElement} input - Has data-quantity
+ * @returns {number} Value in °C / g / ml
+ */
+export function readQuantity(input) {
+  return fromUnit(input.dataset.quantity, Number(input.value));
+}
+
+/**
+ * @param {HTMLInputElement} input - Has data-quantity
+ * @param {number} base - Value in °C / g / ml
+ */
+export function writeQuantity(input, base) {
+  input.value = toUnit(input.dataset.quantity, base);
+}
@@ -0,0 +1,151 @@
+/**
+ * Units
+ * Display unit preference (°C/°F, g/oz, ml/fl oz), kept in localStorage
+ * Everything is stored and computed in °C, grams and millilitres; convert
+ * only when showing or reading a value
+ */
+
+const STORAGE_KEY = 'brewlingo-units';
+const CHANGE_EVENT = 'brewlingo:units';
+
+/** @typedef {'temperature'|'mass'|'volume'} Dimension */
+
+/**
+ * @typedef {Object} Unit
+ * @property {string} id
+ * @property {string} label
+ * @property {(base: number) => number} to - From °C / g / ml
+ * @property {(value: number) => number} from - Back to °C / g / ml
+ * @property {number} digits - Decimal places shown
+ * @property {boolean} [suffix] - Label sits right against the number (91°C)
+ */
+
+/** @type {Object<Dimension, Unit[]>} First unit of each is the stored one */
+export const UNITS = {
+  temperature: [
+    { id: 'c', label: '°C', to: c => c, from: c => c, digits: 1, suffix: true },
+    { id: 'f', label: '°F', to: c => c * 9 / 5 + 32, from: f => (f - 32) * 5 / 9, digits: 0, suffix: true },
+  ],
+  mass: [
+    { id: 'g', label: 'g', to: g => g, from: g => g, digits: 1 },
+    { id: 'oz', label: 'oz', to: g => g / 28.3495, from: oz => oz * 28.3495, digits: 2 },
+  ],
+  volume: [
+    { id: 'ml', label: 'ml', to: ml => ml, from: ml => ml, digits: 0 },
+    { id: 'floz', label: 'fl oz', to: ml => ml / 29.5735, from: floz => floz * 29.5735, digits: 1 },
+  ],
+};
+
+const DEFAULT_UNITS = Object.fromEntries(Object.entries(UNITS).map(([dimension, units]) => [dimension, units[0].id]));
+
+// ============================================
+// PREFERENCE
+// ============================================
+
+/** @returns {Object<Dimension, string>} Dimension → unit id */
+export function getUnits() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    // Ignore unknown ids from older or hand-edited storage
+    return Object.fromEntries(Object.entries(DEFAULT_UNITS).map(([dimension, fallback]) => [
+      dimension,
+      UNITS[dimension].some(unit => unit.id === stored[dimension]) ? stored[dimension] : fallback,
+    ]));
+  } catch {
+    return { ...DEFAULT_UNITS };
+  }
+}
+
+/**
+ * Update the preference and notify onUnitsChange listeners
+ * @param {Partial<Object<Dimension, string>>} changes
+ */
+export function setUnits(changes) {
+  const previous = getUnits();
+  const units = { ...previous, ...changes };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(units));
+  window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { units, previous } }));
+}
+
+/**
+ * Listen for preference changes, from this page or another tab
+ * @param {(units: Object<Dimension, string>, previous: Object<Dimension, string>) => void} listener
+ */
+export function onUnitsChange(listener) {
+  let current = getUnits();
+  window.addEventListener(CHANGE_EVENT, (e) => {
+    current = e.detail.units;
+    listener(e.detail.units, e.detail.previous);
+  });
+  window.addEventListener('storage', (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    const previous = current;
+    current = getUnits();
+    listener(current, previous);
+  });
+}
+
+// ============================================
+// CONVERSION
+// ============================================
+
+/**
+ * @param {Dimension} dimension
+ * @param {Object<Dimension, string>} [units] - Defaults to the preference
+ * @returns {Unit}
+ */
+export function getUnit(dimension, units = getUnits()) {
+  return UNITS[dimension].find(unit => unit.id === units[dimension]);
+}
+
+/** Base value (°C / g / ml) → display unit, rounded to the unit's digits */
+export function toUnit(dimension, base, units) {
+  const unit = getUnit(dimension, units);
+  return Number(unit.to(base).toFixed(unit.digits));
+}
+
+/** Display unit → base value (°C / g / ml) */
+export function fromUnit(dimension, value, units) {
+  return getUnit(dimension, units).from(value);
+}
+
+function withLabel(unit, number) {
+  return unit.suffix ? `${number}${unit.label}` : `${number} ${unit.label}`;
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * @param {Dimension} dimension
+ * @param {number} base - °C / g / ml
+ * @returns {string} e.g. "94°C", "201°F", "15 g", "0.53 oz"
+ */
+export function formatQuantity(dimension, base) {
+  return withLabel(getUnit(dimension), toUnit(dimension, base));
+}
+
+/**
+ * @param {Dimension} dimension
+ * @param {import('./baselines.js').Range} range - °C / g / ml
+ * @returns {string} e.g. "88–91°C"
+ */
+export function formatQuantityRange(dimension, range) {
+  const min = toUnit(dimension, range.min);
+  const max = toUnit(dimension, range.max);
+  return withLabel(getUnit(dimension), min === max ? min : `${min}–${max}`);
+}
+
+/**
+ * A signed difference, e.g. a temperature correction
+ * Only the scale is converted: +2°C is +4°F, not +36°F
+ * @param {Dimension} dimension
+ * @param {number} delta - °C / g / ml
+ * @returns {string} e.g. "+2°C", "−4°F"
+ */
+export function formatQuantityDelta(dimension, delta) {
+  const unit = getUnit(dimension);
+  const scaled = Number(Math.abs(unit.to(delta) - unit.to(0)).toFixed(unit.digits));
+  return withLabel(unit, `${delta > 0 ? '+' : '−'}${scaled}`);
+}
@@ -0,0 +1,87 @@
+/**
+ * Vocabulary Card Rendering
+ * Builds the language.html cards and dialog content from vocabulary.js
+ */
+import { getCategoryValues } from './vocabulary.js';
+
+function renderChip(value) {
+  return `<span class="chip shadow-hover" data-value="${value.id}"><span class="chip-icon cmyk-hover"><i class="${value.icon}"></i></span><span class="chip-text">${value.shortLabel || value.label}</span></span>`;
+}
+
+function renderSpectrumItem(value) {
+  return `
+    <div class="spectrum-item" data-value="${value.id}">
+      <div class="spectrum-label"><span class="spectrum-icon"><i class="${value.icon}"></i></span><span class="spectrum-text">${value.label}</span></div>
+      <div class="spectrum-desc">
+        ${value.description}
+        <div class="spectrum-cause">Possible causes: ${value.causes.join(', ')}.</div>
+      </div>
+    </div>`;
+}
+
+function renderComparison(comparison) {
+  const points = comparison.points
+    .map(point => `<li><strong>${point.term}</strong> = ${point.text}</li>`)
+    .join('');
+  return `<li><strong>${comparison.title}</strong><ul>${points}</ul></li>`;
+}
+
+function renderClarifications(category) {
+  if (category.clarifications.length === 0 && category.comparisons.length === 0) return '';
+
+  const clarifications = category.clarifications
+    .map(text => `<div class="clarification">${text}</div>`)
+    .join('');
+  const comparisons = category.comparisons.length > 0
+    ? `<ul class="comparisons">${category.comparisons.map(renderComparison).join('')}</ul>`
+    : '';
+
+  return `
+    <div class="clarifications">
+      <h4 class="clarifications-title"><i class="fa-solid fa-lightbulb"></i> Clarifications</h4>
+      ${clarifications}
+      ${comparisons}
+    </div>`;
+}
+
+/**
+ * Render the collapsed card for a category (goes inside .grid)
+ * @param {import('./vocabulary.js').VocabularyCategory} category
+ * @returns {string} HTML
+ */
+export function renderVocabularyCard(category) {
+  const chips = getCategoryValues(category).map(renderChip).join('');
+
+  return `
+    <div class="card-wrapper">
+    <button type="button" class="card card-base" data-color="${category.color}" data-category="${category.id}">
+      <div class="card-header">
+        <span class="card-icon drop-shadow-rest drop-shadow-hover"><i class="${category.icon}"></i></span>
+        <span class="card-title cmyk-hover">${category.name}</span>
+        <span class="card-toggle shadow-hover">+</span>
+      </div>
+      <div class="card-preview">
+        <div class="card-preview-text">${category.summary}</div>
+        <div class="value-chips">${chips}</div>
+      </div>
+    </button>
+    </div>`;
+}
+
+/**
+ * Render the expanded dialog body for a category
+ * @param {import('./vocabulary.js').VocabularyCategory} category
+ * @returns {string} HTML
+ */
+export function renderVocabularyDetail(category) {
+  const spectrums = category.spectrums.map(spectrum => `
+    <div class="spectrum">
+      <h4 class="spectrum-title">${spectrum.title}</h4>
+      <div class="spectrum-items">${spectrum.values.map(renderSpectrumItem).join('')}</div>
+    </div>`).join('');
+
+  return `
+    <div class="full-description">${category.description}</div>
+    ${spectrums}
+    ${renderClarifications(category)}`;
+}
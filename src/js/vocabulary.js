@@ -0,0 +1,638 @@
+/**
+ * Tasting Vocabulary
+ * Single source of truth for the language.html categories: value spectrums,
+ * possible causes and clarifications
+ */
+
+/**
+ * @typedef {Object} VocabularyValue
+ * @property {string} id - Stable value id, e.g. "aromatics-weak"
+ * @property {string} label - Full label shown in the dialog spectrum
+ * @property {string} [shortLabel] - Compact label for card chips (defaults to label)
+ * @property {string} icon - Font Awesome icon classes
+ * @property {string} description - What the value tastes like
+ * @property {string[]} causes - Possible causes, most likely first
+ */
+
+/**
+ * @typedef {Object} VocabularySpectrum
+ * @property {string} title - Spectrum heading, e.g. "Value Spectrum"
+ * @property {VocabularyValue[]} values - Ordered values
+ */
+
+/**
+ * @typedef {Object} VocabularyComparison
+ * @property {string} title - e.g. "Sharp vs Flat"
+ * @property {{ term: string, text: string }[]} points
+ */
+
+/**
+ * @typedef {Object} VocabularyCategory
+ * @property {string} id - Category id, prefix of its value ids
+ * @property {string} name - Display name
+ * @property {string} color - Palette key (matches the CSS custom properties)
+ * @property {string} icon - Font Awesome icon classes
+ * @property {string} summary - Short preview text for the card
+ * @property {string} description - Full description for the dialog
+ * @property {VocabularySpectrum[]} spectrums
+ * @property {string[]} clarifications
+ * @property {VocabularyComparison[]} comparisons
+ */
+
+/** @type {VocabularyCategory[]} */
+export const VOCABULARY = [
+  {
+    id: 'aromatics',
+    name: 'Aromatics',
+    color: 'red',
+    icon: 'fa-solid fa-wind',
+    summary: 'What you smell before tasting. The first indicator of clarity, vibrancy, and potential flavour intensity.',
+    description: 'Aromatics are what you smell before tasting — the first indicator of clarity, vibrancy, and potential flavour intensity. Strong aromatics often predict a vibrant, clear cup.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'aromatics-weak',
+            label: 'Weak',
+            icon: 'fa-solid fa-arrow-down',
+            description: 'Aromas are faint or muted before tasting.',
+            causes: ['low temperature', 'underextraction', 'stale beans']
+          },
+          {
+            id: 'aromatics-moderate',
+            label: 'Moderate',
+            icon: 'fa-solid fa-minus',
+            description: 'Clear aroma presence but not expressive.',
+            causes: ['stable but slightly muted extraction']
+          },
+          {
+            id: 'aromatics-strong',
+            label: 'Strong',
+            icon: 'fa-solid fa-arrow-up',
+            description: 'Immediate, noticeable aromatics with clear identity.',
+            causes: ['good freshness and extraction energy']
+          },
+          {
+            id: 'aromatics-complex',
+            label: 'Complex',
+            icon: 'fa-solid fa-layer-group',
+            description: 'Multiple aromatic layers (fruit, florals, sweetness).',
+            causes: ['high-quality coffee with strong solubility and proper extraction']
+          }
+        ]
+      }
+    ],
+    clarifications: [
+      'Aromatics often predict clarity and vibrancy.',
+      'Weak aromatics combined with bright acidity may indicate uneven extraction.'
+    ],
+    comparisons: []
+  },
+  {
+    id: 'clarity',
+    name: 'Clarity',
+    color: 'orange',
+    icon: 'fa-solid fa-gem',
+    summary: 'How cleanly flavours present themselves. Influenced by extraction evenness, grind consistency, and pouring technique.',
+    description: 'Clarity describes how cleanly flavours present themselves. High clarity means notes are separated and easy to identify; low clarity means muddiness or blending. Influenced by extraction evenness, grind consistency, agitation, and pouring technique.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'clarity-low',
+            label: 'Low',
+            icon: 'fa-solid fa-arrow-down',
+            description: 'Muddy, cloudy, merged flavours.',
+            causes: ['uneven extraction', 'channeling', 'disrupted flow']
+          },
+          {
+            id: 'clarity-medium',
+            label: 'Medium',
+            icon: 'fa-solid fa-minus',
+            description: 'Partially blended, readable but not crisp.',
+            causes: ['mild unevenness', 'minor grind variability']
+          },
+          {
+            id: 'clarity-high',
+            label: 'High',
+            icon: 'fa-solid fa-arrow-up',
+            description: 'Clean, transparent, distinct flavours.',
+            causes: ['even extraction', 'good agitation', 'consistent grind']
+          }
+        ]
+      }
+    ],
+    clarifications: [
+      'Clarity = cleanliness of flavour.',
+      'High clarity does not guarantee definition.'
+    ],
+    comparisons: []
+  },
+  {
+    id: 'vibrancy',
+    name: 'Vibrancy',
+    color: 'amber',
+    icon: 'fa-solid fa-bolt-lightning',
+    summary: 'How lively or energetic the cup feels. Vibrancy reflects how acidity and sweetness interact.',
+    description: 'Vibrancy describes how lively or energetic the cup feels. It reflects how acidity and sweetness interact to create a sense of liveliness — distinct from raw intensity.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'vibrancy-muted',
+            label: 'Muted',
+            icon: 'fa-solid fa-volume-xmark',
+            description: 'Flavours feel quiet or dull, lacking liveliness.',
+            causes: ['coarse grind', 'low temperature', 'insufficient agitation']
+          },
+          {
+            id: 'vibrancy-vibrant',
+            label: 'Vibrant',
+            icon: 'fa-solid fa-sun',
+            description: 'Flavours feel lively, expressive, and energetic without being aggressive.',
+            causes: ['balanced acidity and sweetness']
+          },
+          {
+            id: 'vibrancy-harsh',
+            label: 'Harsh',
+            icon: 'fa-solid fa-burst',
+            description: 'Overly intense vibrancy where acidity becomes aggressive or spiky.',
+            causes: ['uneven extraction or insufficient sweetness to support acidity']
+          }
+        ]
+      }
+    ],
+    clarifications: [
+      'Vibrancy is not intensity.'
+    ],
+    comparisons: []
+  },
+  {
+    id: 'acidity',
+    name: 'Acidity',
+    color: 'yellow',
+    icon: 'fa-solid fa-lemon',
+    summary: 'The quality of the acidic sensation. Good acidity contributes energy and brightness; poor acidity feels sour or unbalanced.',
+    description: 'Acidity describes the quality of the acidic sensation: sparkling, muted, or sharp. Good acidity contributes energy and brightness; poor acidity feels sour or unbalanced.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'acidity-flat',
+            label: 'Flat',
+            icon: 'fa-solid fa-circle',
+            description: 'Dull, muted, lacking energy.',
+            causes: ['coarse grind', 'low temperature', 'weak extraction']
+          },
+          {
+            id: 'acidity-bright',
+            label: 'Bright',
+            icon: 'fa-solid fa-sun',
+            description: 'Lively, sparkling, clean.',
+            causes: ['proper extraction', 'balanced sweetness']
+          },
+          {
+            id: 'acidity-sharp',
+            label: 'Sharp',
+            icon: 'fa-solid fa-bolt',
+            description: 'Sour, poking, unbalanced. Occurs when acids extract faster than sweetness, creating an unbalanced first impression.',
+            causes: ['underextraction', 'insufficient sweetness']
+          }
+        ]
+      }
+    ],
+    clarifications: [
+      'Bright is not sour.',
+      'Sharp acidity is unpleasant; bright acidity is desirable.'
+    ],
+    comparisons: []
+  },
+  {
+    id: 'sweetness',
+    name: 'Sweetness',
+    color: 'green',
+    icon: 'fa-solid fa-candy-cane',
+    summary: 'Perceived sweetness from extraction, not literal sugar. It stabilizes acidity and fills the mid-palate.',
+    description: 'Sweetness is perceived sweetness from extraction, not literal sugar. It stabilizes acidity and fills the mid-palate. Low sweetness creates thinness or hollowness. When sweetness is low, acidity often feels sharper or more aggressive.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'sweetness-low',
+            label: 'Low',
+            icon: 'fa-solid fa-arrow-down',
+            description: 'Thin, sour, muted.',
+            causes: ['underextraction', 'coarse grind']
+          },
+          {
+            id: 'sweetness-medium',
+            label: 'Medium',
+            icon: 'fa-solid fa-minus',
+            description: 'Balanced but not rich.',
+            causes: ['moderate extraction']
+          },
+          {
+            id: 'sweetness-high',
+            label: 'High',
+            icon: 'fa-solid fa-arrow-up',
+            description: 'Rounded, integrated, rich sweetness.',
+            causes: ['strong extraction', 'consistent flow', 'adequate heat']
+          }
+        ]
+      }
+    ],
+    clarifications: [],
+    comparisons: []
+  },
+  {
+    id: 'body',
+    name: 'Body',
+    color: 'cyan',
+    icon: 'fa-solid fa-weight-hanging',
+    summary: 'Tactile weight and texture. Becomes meaningful when paired with finish and sweetness.',
+    description: 'Body is tactile weight and texture. It does not diagnose extraction alone but becomes meaningful when paired with finish and sweetness. A heavier body may reduce clarity slightly but does not necessarily reduce flavour definition.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'body-light',
+            label: 'Light',
+            icon: 'fa-solid fa-feather',
+            description: 'Watery, tea-like.',
+            causes: ['underextraction', 'low agitation', 'low dose']
+          },
+          {
+            id: 'body-medium',
+            label: 'Medium',
+            icon: 'fa-solid fa-minus',
+            description: 'Balanced, typical for washed coffees.',
+            causes: ['stable extraction']
+          },
+          {
+            id: 'body-heavy',
+            label: 'Heavy',
+            icon: 'fa-solid fa-dumbbell',
+            description: 'Thick, syrupy.',
+            causes: ['finer grind', 'natural processing', 'higher TDS']
+          }
+        ]
+      }
+    ],
+    clarifications: [],
+    comparisons: []
+  },
+  {
+    id: 'definition',
+    name: 'Definition',
+    color: 'blue',
+    icon: 'fa-solid fa-wave-square',
+    summary: 'The shape of the flavour arc from beginning to middle to finish. A clean cup may still lack definition if extraction is uneven.',
+    description: 'Definition is the shape of the flavour arc from beginning to middle to finish. High definition feels outlined and dimensional; low definition feels monotone or flat. A clean cup may still lack definition if extraction is uneven.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'definition-low',
+            label: 'Low',
+            icon: 'fa-solid fa-arrow-down',
+            description: 'Flat, monotone, lacking development. Feels like one continuous note without any rise or progression.',
+            causes: ['underextraction', 'coarse grind', 'low temperature']
+          },
+          {
+            id: 'definition-medium',
+            label: 'Medium',
+            icon: 'fa-solid fa-minus',
+            description: 'Some shape but not vivid.',
+            causes: ['slight unevenness']
+          },
+          {
+            id: 'definition-high',
+            label: 'High',
+            icon: 'fa-solid fa-arrow-up',
+            description: 'Clear stages with distinct progression.',
+            causes: ['balanced extraction', 'full solubility development']
+          }
+        ]
+      }
+    ],
+    clarifications: [
+      'Definition describes how flavours change across the sip — whether they have stages or movement. Structure describes how well acidity, sweetness, and finish work together as a whole.',
+      'Clarity and definition are independent.'
+    ],
+    comparisons: []
+  },
+  {
+    id: 'structure',
+    name: 'Structure',
+    color: 'indigo',
+    icon: 'fa-solid fa-cubes',
+    summary: 'How acidity, sweetness, and finish integrate across the sip. Balanced structure forms a cohesive arc.',
+    description: 'Structure is how acidity, sweetness, and finish integrate across the sip. Balanced structure forms a cohesive arc; poor structure feels hollow, sharp, flat, or collapsing.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'structure-balanced',
+            label: 'Balanced',
+            icon: 'fa-solid fa-check',
+            description: 'Complete arc with proper integration.',
+            causes: ['proper extraction', 'consistent grind', 'stable flow']
+          },
+          {
+            id: 'structure-hollow',
+            label: 'Hollow',
+            icon: 'fa-solid fa-circle-notch',
+            description: 'Middle of the sip feels weak or missing, even if the beginning and end show flavour.',
+            causes: ['underextraction', 'uneven flow', 'coarse grind']
+          },
+          {
+            id: 'structure-sharp',
+            label: 'Sharp',
+            icon: 'fa-solid fa-bolt',
+            description: 'Acidity dominates early too aggressively. Acidity arrives too suddenly and too strongly at the beginning (aggressive early acidity; front-loaded).',
+            causes: ['early-stage underextraction']
+          },
+          {
+            id: 'structure-flat',
+            label: 'Flat',
+            icon: 'fa-solid fa-grip-lines',
+            description: 'No rise or development; the sip feels the same from start to finish.',
+            causes: ['coarse grind', 'low temperature']
+          },
+          {
+            id: 'structure-collapsing',
+            label: 'Collapsing',
+            icon: 'fa-solid fa-arrow-trend-down',
+            description: 'Starts with good flavour but loses strength at the end — often finishing weak, dry, or unfocused.',
+            causes: ['uneven extraction', 'fines overextracting']
+          }
+        ]
+      }
+    ],
+    clarifications: [],
+    comparisons: [
+      {
+        title: 'Sharp vs Flat',
+        points: [
+          { term: 'Sharp', text: 'excessive early acidity' },
+          { term: 'Flat', text: 'no development at all' }
+        ]
+      },
+      {
+        title: 'Hollow vs Collapsing',
+        points: [
+          { term: 'Hollow', text: 'missing middle' },
+          { term: 'Collapsing', text: 'finish fails after a good start' }
+        ]
+      }
+    ]
+  },
+  {
+    id: 'finish',
+    name: 'Finish',
+    color: 'purple',
+    icon: 'fa-solid fa-flag-checkered',
+    summary: 'What remains after swallowing: duration, flavour, and tactile sensations. Often the fastest indicator of extraction issues.',
+    description: 'Finish describes what remains after swallowing: duration, flavour, and tactile sensations. Often the fastest indicator of extraction issues.',
+    spectrums: [
+      {
+        title: 'Duration (Flavour)',
+        values: [
+          {
+            id: 'finish-quick',
+            label: 'Quick',
+            icon: 'fa-solid fa-forward-fast',
+            description: 'Flavour disappears rapidly.',
+            causes: ['underextraction', 'coarse grind']
+          },
+          {
+            id: 'finish-normal',
+            label: 'Normal',
+            icon: 'fa-solid fa-check',
+            description: 'Pleasant, balanced fade.',
+            causes: ['proper extraction']
+          },
+          {
+            id: 'finish-sweet',
+            label: 'Lingering Sweet',
+            shortLabel: 'Ling. Sweet',
+            icon: 'fa-solid fa-heart',
+            description: 'Sweetness remains.',
+            causes: ['excellent extraction']
+          },
+          {
+            id: 'finish-bitter',
+            label: 'Bitter Finish',
+            shortLabel: 'Bitter',
+            icon: 'fa-solid fa-skull',
+            description: 'Bitter flavour that persists after swallowing.',
+            causes: ['overextraction', 'too fine grind']
+          }
+        ]
+      },
+      {
+        title: 'Texture (Tactile Sensation)',
+        values: [
+          {
+            id: 'finish-dry',
+            label: 'Lingering Dry',
+            shortLabel: 'Ling. Dry',
+            icon: 'fa-solid fa-droplet-slash',
+            description: 'Light, temporary dryness.',
+            causes: ['fines overextracting at late stage']
+          },
+          {
+            id: 'finish-astringent',
+            label: 'Astringent',
+            icon: 'fa-solid fa-xmark',
+            description: 'A strong, gripping, tannic dryness affecting tongue and gums.',
+            causes: ['major overextraction or channel-induced tannin extraction']
+          }
+        ]
+      }
+    ],
+    clarifications: [],
+    comparisons: [
+      {
+        title: 'Lingering Dry vs Astringent',
+        points: [
+          { term: 'Lingering Dry', text: 'mild dryness, short-lived' },
+          { term: 'Astringent', text: 'rough, gripping dryness, long-lasting' }
+        ]
+      },
+      {
+        title: 'Quick vs Dry Finish',
+        points: [
+          { term: 'Quick', text: 'flavour ends suddenly' },
+          { term: 'Dry', text: 'tactile dryness' }
+        ]
+      },
+      {
+        title: 'Bitterness vs Astringency vs Dry Finish',
+        points: [
+          { term: 'Bitterness', text: 'flavour' },
+          { term: 'Dry finish', text: 'mild dryness' },
+          { term: 'Astringency', text: 'harsh dryness' }
+        ]
+      },
+      {
+        title: 'Thin vs Empty vs Bitter Finish',
+        points: [
+          { term: 'Thin', text: 'weak remaining flavour' },
+          { term: 'Empty', text: 'flavour disappears entirely' },
+          { term: 'Bitter Finish', text: 'bitterness remains' }
+        ]
+      }
+    ]
+  },
+  {
+    id: 'aftertaste',
+    name: 'Aftertaste',
+    color: 'pink',
+    icon: 'fa-solid fa-hourglass-end',
+    summary: 'The flavour that lingers after swallowing. Focuses on flavour identity and quality rather than duration or texture.',
+    description: 'Aftertaste represents the flavour identity that remains after swallowing — not duration or tactile texture, but the actual flavour quality that lingers.',
+    spectrums: [
+      {
+        title: 'Value Spectrum',
+        values: [
+          {
+            id: 'aftertaste-clean',
+            label: 'Clean',
+            icon: 'fa-solid fa-broom',
+            description: 'Flavour fades without off-notes; smooth and pleasant.',
+            causes: ['balanced extraction']
+          },
+          {
+            id: 'aftertaste-fruity',
+            label: 'Fruity',
+            icon: 'fa-solid fa-apple-whole',
+            description: 'Pleasant fruit tones remain after swallowing.',
+            causes: ['well-developed extraction']
+          },
+          {
+            id: 'aftertaste-neutral',
+            label: 'Neutral',
+            icon: 'fa-solid fa-minus',
+            description: 'Little or no identifiable flavour remains.',
+            causes: ['slight underextraction or muted cup']
+          },
+          {
+            id: 'aftertaste-papery',
+            label: 'Papery',
+            icon: 'fa-solid fa-scroll',
+            description: 'Lingering dull or papery note.',
+            causes: ['fines overextracting or filter influence']
+          },
+          {
+            id: 'aftertaste-metallic',
+            label: 'Metallic',
+            icon: 'fa-solid fa-coins',
+            description: 'Sharp, coin-like remaining flavour.',
+            causes: ['uneven extraction or water imbalance']
+          }
+        ]
+      }
+    ],
+    clarifications: [],
+    comparisons: []
+  }
+];
+
+// ============================================
+// LOOKUPS
+// ============================================
+
+/**
+ * Find a category by id
+ * @param {string} categoryId - e.g. "structure"
+ * @returns {VocabularyCategory|undefined}
+ */
+export function getCategory(categoryId) {
+  return VOCABULARY.find(category => category.id === categoryId);
+}
+
+/**
+ * All values of a category, across its spectrums, in display order
+ * @param {VocabularyCategory} category
+ * @returns {VocabularyValue[]}
+ */
+export function getCategoryValues(category) {
+  return category.spectrums.flatMap(spectrum => spectrum.values);
+}
+
+/**
+ * Find a value and its owning category by value id
+ * @param {string} valueId - e.g. "finish-astringent"
+ * @returns {{ category: VocabularyCategory, value: VocabularyValue }|undefined}
+ */
+export function getValue(valueId) {
+  for (const category of VOCABULARY) {
+    const value = getCategoryValues(category).find(v => v.id === valueId);
+    if (value) return { category, value };
+  }
+  return undefined;
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * @typedef {Object} VocabularyMatch
+ * @property {VocabularyCategory} category
+ * @property {string[]} valueIds - Matching values, in display order
+ */
+
+// Descriptions and clarifications carry inline markup (<strong>)
+const toSearchText = parts => parts.join(' ').replace(/<[^>]+>/g, '').toLowerCase();
+
+function categorySearchText(category) {
+  return toSearchText([
+    category.name,
+    category.summary,
+    category.description,
+    ...category.spectrums.map(spectrum => spectrum.title),
+    ...category.clarifications,
+    ...category.comparisons.flatMap(c => [c.title, ...c.points.flatMap(p => [p.term, p.text])])
+  ]);
+}
+
+function valueSearchText(category, value) {
+  return toSearchText([
+    category.name,
+    value.label,
+    value.shortLabel || '',
+    value.description,
+    ...value.causes
+  ]);
+}
+
+/**
+ * Full-text search over names, descriptions, causes and clarifications
+ * Every word of the query must appear; a value also matches on its
+ * category's name, so "body heavy" finds body-heavy
+ * @param {string} query
+ * @returns {VocabularyMatch[]} Matching categories in display order
+ */
+export function searchVocabulary(query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matchesAll = text => terms.every(term => text.includes(term));
+
+  return VOCABULARY
+    .map(category => ({
+      category,
+      valueIds: getCategoryValues(category)
+        .filter(value => matchesAll(valueSearchText(category, value)))
+        .map(value => value.id)
+    }))
+    .filter(match => match.valueIds.length > 0 || matchesAll(categorySearchText(match.category)));
+}
@@ -0,0 +1,217 @@
+/**
+ * Water Chemistry
+ * Brew water as general hardness (GH), carbonate hardness / alkalinity (KH)
+ * and TDS, all in ppm (GH and KH as CaCO3). Builds DIY recipes from mineral
+ * stock solutions and explains how a profile shifts acidity and body.
+ * The last profile is kept in localStorage
+ */
+const STORAGE_KEY = 'brewlingo-water';
+
+/**
+ * @typedef {Object} WaterProfile
+ * @property {number} gh - General hardness, ppm as CaCO3
+ * @property {number} kh - Alkalinity (buffer), ppm as CaCO3
+ * @property {number} tds - ppm, as read by a TDS meter
+ */
+
+/**
+ * @typedef {Object} WaterPreset
+ * @property {string} id
+ * @property {string} name
+ * @property {WaterProfile} profile
+ * @property {string} description
+ */
+
+/** @type {WaterPreset[]} */
+export const WATER_PRESETS = [
+  {
+    id: 'sca',
+    name: 'SCA target',
+    profile: { gh: 68, kh: 40, tds: 150 },
+    description: 'The middle of the SCA water standard: a safe, balanced default.',
+  },
+  {
+    id: 'third-wave-light',
+    name: 'Third Wave-style (light roast)',
+    profile: { gh: 90, kh: 30, tds: 150 },
+    description: 'Magnesium-rich and lightly buffered, for bright, fruity filter coffee.',
+  },
+  {
+    id: 'third-wave-espresso',
+    name: 'Third Wave-style (espresso)',
+    profile: { gh: 75, kh: 65, tds: 150 },
+    description: 'More buffer to tame the acidity of a concentrated shot.',
+  },
+  {
+    id: 'rao-perger',
+    name: 'Rao/Perger',
+    profile: { gh: 68, kh: 40, tds: 110 },
+    description: 'A popular pourover recipe close to the SCA target, with only magnesium and bicarbonate.',
+  },
+  {
+    id: 'soft-bright',
+    name: 'Soft & bright',
+    profile: { gh: 50, kh: 15, tds: 70 },
+    description: 'Very light buffer: vivid acidity, lighter body.',
+  },
+  {
+    id: 'hard-tap',
+    name: 'Hard tap water',
+    profile: { gh: 250, kh: 200, tds: 350 },
+    description: 'Typical hard city water: chalky, flat cups and scale in the kettle.',
+  },
+];
+
+// SCA water standard
+export const WATER_TARGETS = {
+  gh: { min: 50, max: 175 },
+  kh: { min: 40, max: 75 },
+  tds: { min: 75, max: 250 },
+};
+
+// ============================================
+// STOCK SOLUTIONS
+// Each concentrate is 1000 ppm as CaCO3, so 1 ml per litre adds 1 ppm
+// ============================================
+
+/**
+ * @typedef {Object} StockSolution
+ * @property {string} id
+ * @property {string} name
+ * @property {string} mineral
+ * @property {number} grams - Grams of mineral per litre of distilled water
+ * @property {'gh'|'kh'} adds
+ */
+
+/** @type {StockSolution[]} */
+export const STOCK_SOLUTIONS = [
+  { id: 'epsom', name: 'Hardness concentrate', mineral: 'Epsom salt (magnesium sulfate heptahydrate)', grams: 2.45, adds: 'gh' },
+  { id: 'calcium', name: 'Calcium concentrate', mineral: 'calcium chloride dihydrate', grams: 1.47, adds: 'gh' },
+  { id: 'buffer', name: 'Buffer concentrate', mineral: 'baking soda (sodium bicarbonate)', grams: 1.68, adds: 'kh' },
+];
+
+/**
+ * @typedef {Object} WaterRecipe
+ * @property {{ solution: StockSolution, ml: number }[]} additions - Only the ones used
+ * @property {number} distilled - Millilitres of distilled water
+ * @property {number} volume - Total millilitres
+ */
+
+/**
+ * DIY recipe for a profile, from distilled water and stock solutions
+ * TDS isn't targeted: it follows from the minerals
+ * @param {WaterProfile} profile
+ * @param {number} volume - Millilitres of finished water
+ * @param {string} [hardnessId] - Stock solution for GH, "epsom" or "calcium"
+ * @returns {WaterRecipe}
+ */
+export function getWaterRecipe(profile, volume, hardnessId = 'epsom') {
+  const litres = volume / 1000;
+  const hardness = STOCK_SOLUTIONS.find(solution => solution.id === hardnessId && solution.adds === 'gh');
+  const buffer = STOCK_SOLUTIONS.find(solution => solution.adds === 'kh');
+  const additions = [
+    { solution: hardness, ml: Math.round(profile.gh * litres) },
+    { solution: buffer, ml: Math.round(profile.kh * litres) },
+  ].filter(addition => addition.ml > 0);
+
+  return {
+    additions,
+    distilled: Math.max(0, volume - additions.reduce((sum, addition) => sum + addition.ml, 0)),
+    volume,
+  };
+}
+
+// ============================================
+// INFLUENCE
+// ============================================
+
+/**
+ * @typedef {Object} WaterEffect
+ * @property {'gh'|'kh'|'tds'} param
+ * @property {-1|0|1} status - Below, within or above WATER_TARGETS
+ * @property {string} text
+ * @property {string[]} valueIds - Vocabulary values it pushes the cup towards
+ */
+
+const EFFECTS = {
+  kh: {
+    '-1': {
+      text: 'Little buffer: acids reach the cup untouched, so acidity reads bright and can tip into sharp or sour.',
+      valueIds: ['acidity-bright', 'acidity-sharp'],
+    },
+    0: {
+      text: 'Enough buffer to round off the harshest acids while keeping the cup lively.',
+      valueIds: ['acidity-bright'],
+    },
+    1: {
+      text: 'Heavy buffer neutralises acids: the cup turns flat, dull and chalky.',
+      valueIds: ['acidity-flat'],
+    },
+  },
+  gh: {
+    '-1': {
+      text: 'Soft water pulls out fewer flavour compounds, so the cup is thin and light-bodied.',
+      valueIds: ['body-light'],
+    },
+    0: {
+      text: 'Magnesium and calcium bind flavour compounds for a full, rounded body.',
+      valueIds: ['body-medium'],
+    },
+    1: {
+      text: 'Very hard water gives a heavy, muddled body and scales up your kettle.',
+      valueIds: ['body-heavy'],
+    },
+  },
+  tds: {
+    '-1': {
+      text: 'Very few minerals overall: expect a hollow, underextracted cup.',
+      valueIds: ['body-light'],
+    },
+    0: {
+      text: 'Total minerals are within the SCA range.',
+      valueIds: [],
+    },
+    1: {
+      text: 'Lots of dissolved solids already: the water has less room to extract, and the cup dulls.',
+      valueIds: ['acidity-flat'],
+    },
+  },
+};
+
+function compareToRange(value, range) {
+  if (value < range.min) return -1;
+  if (value > range.max) return 1;
+  return 0;
+}
+
+/**
+ * How a profile shifts acidity and body perception
+ * @param {WaterProfile} profile
+ * @returns {WaterEffect[]} Buffer, hardness, then TDS
+ */
+export function getWaterEffects(profile) {
+  return ['kh', 'gh', 'tds'].map(param => {
+    const status = compareToRange(profile[param], WATER_TARGETS[param]);
+    return { param, status, ...EFFECTS[param][status] };
+  });
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/** @returns {WaterProfile} The last profile, or the SCA target */
+export function loadWaterProfile() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && ['gh', 'kh', 'tds'].every(param => typeof stored[param] === 'number')) return stored;
+  } catch {
+    // Fall through to the default
+  }
+  return { ...WATER_PRESETS[0].profile };
+}
+
+/** @param {WaterProfile} profile */
+export function saveWaterProfile(profile) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+}
@@ -18,6 +18,13 @@ export default defineConfig({
         main: resolve(__dirname, 'src/index.html'),
         language: resolve(__dirname, 'src/language.html'),
         recipe: resolve(__dirname, 'src/recipe.html'),
+        troubleshoot: resolve(__dirname, 'src/troubleshoot.html'),
+        tasting: resolve(__dirname, 'src/tasting.html'),
+        journal: resolve(__dirname, 'src/journal.html'),
+        quiz: resolve(__dirname, 'src/quiz.html'),
+        timer: resolve(__dirname, 'src/timer.html'),
+        extraction: resolve(__dirname, 'src/extraction.html'),
+        bags: resolve(__dirname, 'src/bags.html'),
       },
     },
   },